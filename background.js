@@ -1,27 +1,386 @@
 /**
  * Background script for header stripping
- * Removes X-Frame-Options and CSP headers to allow embedding sites in iframe
+ * Removes X-Frame-Options and rewrites CSP frame-ancestors to allow embedding sites in iframe
+ * Only frames inside the sidebar, for sites in the user's list, are touched
  */
 
 // Headers to remove for iframe embedding
 const HEADERS_TO_REMOVE = [
-  'x-frame-options',
+  'x-frame-options'
+];
+
+// CSP headers - only their frame-ancestors directive is rewritten
+const CSP_HEADERS = [
   'content-security-policy',
   'x-content-security-policy'
 ];
 
+// Commands that open the sidebar before switching sites
+const SITE_SWITCH_COMMANDS = /^(switch-site-\d|next-site|previous-site)$/;
+
+// How long a message waits for the sidebar to finish loading
+const PENDING_MESSAGE_TTL = 10 * 1000;
+
+// The extension page that hosts the embedded sites
+const SIDEBAR_URL = browser.runtime.getURL('sidebar.html');
+
+// Origin added to rewritten frame-ancestors directives
+const EXTENSION_ORIGIN = new URL(SIDEBAR_URL).origin;
+
+// Directives that decide whether injected <script> and <style> elements may run,
+// most specific first (the first one present in a policy applies)
+const USER_CODE_DIRECTIVES = [
+  ['script-src-elem', 'script-src', 'default-src'],
+  ['style-src-elem', 'style-src', 'default-src']
+];
+
+// Global settings (see settings.js), kept in sync with storage
+let settings = { ...DEFAULT_SETTINGS };
+
+// Stored sites and their hostnames (kept in sync with storage)
+let sidebarSites = [];
+let allowedHosts = new Set();
+
+// Host of the link each window's sidebar shows without saving it (windowId -> host)
+// Dropped when the sidebar replaces or closes the page, or the sidebar itself closes
+const temporaryHosts = new Map();
+
+// Nonce allowed in the CSP of the last response loaded into each sidebar frame that
+// gets its site's custom CSS or script (frameId -> { url, nonce }), so frame-content.js
+// can inject them. Taken by the sidebar, which hands it over with the code
+const userCodeNonces = new Map();
+
+// Header modifications per host (for the sidebar's diagnostics view)
+const headerLog = new Map();
+
+// Message sent before the sidebar was ready to receive it
+let pendingMessage = null;
+
+// frame-content.js is only registered while a sidebar is open (each one keeps a port open)
+let openSidebars = 0;
+let frameScript = null; // Promise of the registration
+
+// Stored data is upgraded once, here, before sync or any sidebar reads it
+const storageReady = migrateStorage();
+
+/**
+ * Normalize a URL to the hostname used for allow-list matching
+ */
+function getHostKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Rebuild the site list and allow-list from a sites array
+ */
+function updateSites(sites) {
+  sidebarSites = sites || [];
+  allowedHosts = new Set();
+
+  (sites || []).forEach(site => {
+    const host = getHostKey(site.url);
+    if (host) allowedHosts.add(host);
+  });
+}
+
+/**
+ * Load the sites from storage
+ */
+async function loadSites() {
+  try {
+    const result = await browser.storage.local.get('sites');
+    updateSites(result.sites);
+  } catch (e) {
+    console.log('Could not load sites for header stripping');
+  }
+}
+
+/**
+ * Check if a URL belongs to one of the stored sites (subdomains included)
+ * or to a link that was opened in the sidebar
+ */
+function isAllowedUrl(url) {
+  const host = getHostKey(url);
+  if (!host) return false;
+  if ([...temporaryHosts.values()].includes(host)) return true;
+
+  for (const allowed of allowedHosts) {
+    if (host === allowed || host.endsWith('.' + allowed)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Check if a request loads (or comes from) a direct child frame of the sidebar page
+ */
+function isSidebarFrame(details) {
+  const parentUrl = details.frameAncestors && details.frameAncestors.length > 0
+    ? details.frameAncestors[0].url
+    : details.documentUrl;
+
+  return Boolean(parentUrl) && parentUrl.startsWith(SIDEBAR_URL);
+}
+
+/**
+ * Find the stored site a URL belongs to (exact host preferred over subdomain match)
+ */
+function findSiteForUrl(url) {
+  const host = getHostKey(url);
+  if (!host) return null;
+
+  let match = null;
+  for (const site of sidebarSites) {
+    const siteHost = getHostKey(site.url);
+    if (host === siteHost) return site;
+    if (!match && siteHost && host.endsWith('.' + siteHost)) match = site;
+  }
+  return match;
+}
+
+/**
+ * Get the site whose sidebar frame a request belongs to
+ * Covers the frame document itself and everything it loads
+ */
+function getSidebarFrameSite(details) {
+  if (!isSidebarFrame(details)) return null;
+
+  const frameUrl = details.type === 'sub_frame' ? details.url : details.documentUrl;
+  return frameUrl ? findSiteForUrl(frameUrl) : null;
+}
+
+/**
+ * Get the User-Agent override for a site (null keeps the browser's own)
+ */
+function getUserAgentForSite(site) {
+  switch (site.userAgentMode) {
+    case 'mobile':
+      return settings.mobileUserAgent;
+    case 'custom':
+      return site.customUserAgent || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Allow the extension origin in a CSP frame-ancestors directive
+ * Returns the rewritten policy, or the original one if nothing changed
+ */
+function rewriteFrameAncestors(policy) {
+  // A header can carry several comma-separated policies
+  return policy.split(',').map(singlePolicy => {
+    return singlePolicy.split(';').map(directive => {
+      const parts = directive.trim().split(/\s+/);
+      if (parts[0].toLowerCase() !== 'frame-ancestors') return directive;
+
+      // 'none' can't be combined with other sources
+      const sources = parts.slice(1).filter(source => source.toLowerCase() !== "'none'");
+      if (sources.includes(EXTENSION_ORIGIN)) return directive;
+
+      return ' ' + ['frame-ancestors', ...sources, EXTENSION_ORIGIN].join(' ');
+    }).join(';');
+  }).join(',');
+}
+
+/**
+ * Check if a site has custom CSS or a script to inject
+ */
+function hasUserCode(site) {
+  return Boolean(site && (site.userCss || site.userScript));
+}
+
+/**
+ * Check if a page gets custom code injected (only pages on the host of a site that has some)
+ */
+function needsUserCode(url) {
+  const host = getHostKey(url);
+  return Boolean(host) && sidebarSites.some(site => hasUserCode(site) && getHostKey(site.url) === host);
+}
+
+/**
+ * Drop the fragment of a URL (request URLs and page URLs differ in it)
+ */
+function stripHash(url) {
+  return String(url).split('#')[0];
+}
+
+/**
+ * Make a fresh nonce for a response loaded into a sidebar frame
+ */
+function createUserCodeNonce(details) {
+  const nonce = btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(16))));
+  userCodeNonces.set(details.frameId, { url: stripHash(details.url), nonce });
+  return nonce;
+}
+
+/**
+ * Hand over the nonce of a frame's current page, once
+ */
+function takeUserCodeNonce(frameId, url) {
+  const entry = userCodeNonces.get(frameId);
+  if (!entry || entry.url !== stripHash(url)) return null;
+
+  userCodeNonces.delete(frameId);
+  return entry.nonce;
+}
+
+/**
+ * Allow a user code nonce in the directives that apply to inline scripts and styles
+ * Returns the rewritten policy, or the original one if nothing changed
+ */
+function addUserCodeNonce(policy, userCodeNonce) {
+  const nonce = `'nonce-${userCodeNonce}'`;
+
+  return policy.split(',').map(singlePolicy => {
+    const directives = singlePolicy.split(';');
+    const names = directives.map(directive => directive.trim().split(/\s+/)[0].toLowerCase());
+
+    const targets = new Set();
+    USER_CODE_DIRECTIVES.forEach(fallbacks => {
+      const name = fallbacks.find(candidate => names.includes(candidate));
+      if (name) targets.add(names.indexOf(name));
+    });
+
+    return directives.map((directive, index) => {
+      if (!targets.has(index)) return directive;
+
+      const parts = directive.trim().split(/\s+/);
+      const sources = parts.slice(1).map(source => source.toLowerCase());
+      if (parts.includes(nonce)) return directive;
+
+      // A nonce would switch off 'unsafe-inline', which already lets the code run
+      const hasNonceOrHash = sources.some(source => /^'(nonce|sha\d+)-/.test(source));
+      if (sources.includes("'unsafe-inline'") && !hasNonceOrHash) return directive;
+
+      // 'none' can't be combined with other sources
+      const kept = parts.slice(1).filter(source => source.toLowerCase() !== "'none'");
+      return ' ' + [parts[0], ...kept, nonce].join(' ');
+    }).join(';');
+  }).join(',');
+}
+
+/**
+ * List the directives that differ between a policy and its rewritten version (for logging)
+ * Rewriting never adds or removes directives, so they can be compared in order
+ */
+function getChangedDirectives(before, after) {
+  const beforeDirectives = before.split(/[;,]/).map(directive => directive.trim());
+  const afterDirectives = after.split(/[;,]/).map(directive => directive.trim());
+
+  return afterDirectives
+    .map((directive, index) => ({ before: beforeDirectives[index] || null, after: directive }))
+    .filter(change => change.before !== change.after);
+}
+
+/**
+ * Add an entry to the header log of a response's host
+ */
+function logHeaders(details, action, changes) {
+  const host = getHostKey(details.url);
+  if (!host) return;
+
+  const entries = headerLog.get(host) || [];
+  entries.unshift({
+    time: Date.now(),
+    url: details.url,
+    status: details.statusCode,
+    action: action,
+    changes: changes
+  });
+  headerLog.set(host, entries.slice(0, settings.headerLogLimit));
+}
+
+/**
+ * Get the header log entries for a site (subdomains included), newest first
+ */
+function getHeaderLog(siteUrl) {
+  const siteHost = getHostKey(siteUrl);
+  if (!siteHost) return [];
+
+  const entries = [];
+  headerLog.forEach((hostEntries, host) => {
+    if (host === siteHost || host.endsWith('.' + siteHost)) {
+      entries.push(...hostEntries);
+    }
+  });
+  return entries.sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Clear the header log entries for a site
+ */
+function clearHeaderLog(siteUrl) {
+  const siteHost = getHostKey(siteUrl);
+  if (!siteHost) return;
+
+  [...headerLog.keys()].forEach(host => {
+    if (host === siteHost || host.endsWith('.' + siteHost)) {
+      headerLog.delete(host);
+    }
+  });
+}
+
 /**
  * Listener for HTTP responses - strips restrictive headers
  */
 browser.webRequest.onHeadersReceived.addListener(
   (details) => {
-    // Filter out headers that prevent iframe embedding
-    const filteredHeaders = details.responseHeaders.filter(header => {
+    // Leave frames on regular web pages untouched
+    if (!isSidebarFrame(details)) {
+      return {};
+    }
+
+    // A new page in the frame - its previous nonce is no longer valid
+    userCodeNonces.delete(details.frameId);
+
+    // Sidebar frame, but not one of the user's sites
+    if (!isAllowedUrl(details.url)) {
+      logHeaders(details, 'skipped', []);
+      return {};
+    }
+
+    const nonce = needsUserCode(details.url) ? createUserCodeNonce(details) : null;
+
+    const changes = [];
+    const responseHeaders = [];
+
+    details.responseHeaders.forEach(header => {
       const headerName = header.name.toLowerCase();
-      return !HEADERS_TO_REMOVE.includes(headerName);
+
+      // Drop headers that prevent iframe embedding
+      if (HEADERS_TO_REMOVE.includes(headerName)) {
+        changes.push({ header: headerName, action: 'removed', before: header.value, after: null });
+        return;
+      }
+
+      // Keep the rest of the policy, only open up frame-ancestors
+      // (and allow the site's custom CSS and script, if it has any)
+      if (CSP_HEADERS.includes(headerName) && header.value) {
+        let value = rewriteFrameAncestors(header.value);
+        if (nonce) {
+          value = addUserCodeNonce(value, nonce);
+        }
+        if (value !== header.value) {
+          getChangedDirectives(header.value, value).forEach(change => {
+            changes.push({ header: headerName, action: 'rewritten', before: change.before, after: change.after });
+          });
+          responseHeaders.push({ name: header.name, value: value });
+          return;
+        }
+      }
+
+      responseHeaders.push(header);
     });
 
-    return { responseHeaders: filteredHeaders };
+    logHeaders(details, changes.length > 0 ? 'modified' : 'unchanged', changes);
+
+    return { responseHeaders };
   },
   {
     urls: ['<all_urls>'],
@@ -30,5 +389,201 @@ browser.webRequest.onHeadersReceived.addListener(
   ['blocking', 'responseHeaders']
 );
 
-console.log('Sidebar Extension: Header stripping enabled');
+/**
+ * Listener for HTTP requests - applies per-site User-Agent overrides
+ */
+browser.webRequest.onBeforeSendHeaders.addListener(
+  (details) => {
+    const site = getSidebarFrameSite(details);
+    const userAgent = site && getUserAgentForSite(site);
+    if (!userAgent) {
+      return {};
+    }
+
+    const requestHeaders = details.requestHeaders.map(header => {
+      return header.name.toLowerCase() === 'user-agent'
+        ? { name: header.name, value: userAgent }
+        : header;
+    });
+
+    return { requestHeaders };
+  },
+  { urls: ['<all_urls>'] },
+  ['blocking', 'requestHeaders']
+);
+
+/**
+ * Send a message to the sidebar of a window
+ * If the sidebar is still loading, it picks the message up once ready
+ */
+async function sendToSidebar(message, windowId) {
+  const fullMessage = { ...message, windowId: windowId };
+
+  let handled = false;
+  try {
+    handled = await browser.runtime.sendMessage(fullMessage);
+  } catch (e) {
+    // No sidebar is open yet
+  }
+
+  pendingMessage = handled ? null : { message: fullMessage, time: Date.now() };
+}
+
+/**
+ * Hand over the pending message to a sidebar that just loaded
+ */
+function takePendingMessage(windowId) {
+  const pending = pendingMessage;
+  if (!pending || pending.message.windowId !== windowId) return null;
+
+  pendingMessage = null;
+  return Date.now() - pending.time < PENDING_MESSAGE_TTL ? pending.message : null;
+}
+
+/**
+ * Register frame-content.js for the frames of open sidebars (once for all windows)
+ */
+function registerFrameScript() {
+  if (!frameScript) {
+    frameScript = browser.contentScripts.register({
+      matches: ['http://*/*', 'https://*/*'],
+      js: [{ file: 'frame-content.js' }],
+      allFrames: true,
+      runAt: 'document_end'
+    });
+    frameScript.catch(e => {
+      console.log('Could not register frame script', e);
+      frameScript = null;
+    });
+  }
+  return frameScript;
+}
+
+/**
+ * Stop injecting frame-content.js once the last sidebar closed
+ */
+async function unregisterFrameScript() {
+  const registration = frameScript;
+  frameScript = null;
+  if (!registration) return;
+
+  try {
+    await (await registration).unregister();
+  } catch (e) {
+    console.log('Could not unregister frame script', e);
+  }
+}
+
+/**
+ * Listener for keyboard commands (toggling the sidebar is handled by Firefox)
+ */
+browser.commands.onCommand.addListener((command) => {
+  // Shortcuts count as user actions, so the sidebar may be opened from here
+  if (SITE_SWITCH_COMMANDS.test(command)) {
+    browser.sidebarAction.open();
+  }
 
+  browser.windows.getLastFocused().then(win => {
+    sendToSidebar({ type: 'command', command: command }, win.id);
+  });
+});
+
+/**
+ * Browser context menu items (pages, tabs and links)
+ */
+browser.menus.create({
+  id: 'add-page-to-sidebar',
+  title: browser.i18n.getMessage('menuAddPage'),
+  contexts: ['page', 'tab'],
+  documentUrlPatterns: ['http://*/*', 'https://*/*']
+});
+
+browser.menus.create({
+  id: 'open-link-in-sidebar',
+  title: browser.i18n.getMessage('menuOpenLink'),
+  contexts: ['link'],
+  targetUrlPatterns: ['http://*/*', 'https://*/*']
+});
+
+/**
+ * Listener for context menu clicks
+ */
+browser.menus.onClicked.addListener((info, tab) => {
+  switch (info.menuItemId) {
+    case 'add-page-to-sidebar':
+      // Menu clicks count as user actions, so the sidebar may be opened here
+      browser.sidebarAction.open();
+      sendToSidebar({ type: 'addSite', name: tab.title, url: info.pageUrl || tab.url }, tab.windowId);
+      break;
+    case 'open-link-in-sidebar': {
+      browser.sidebarAction.open();
+      const host = getHostKey(info.linkUrl);
+      if (host) temporaryHosts.set(tab.windowId, host);
+      sendToSidebar({ type: 'openUrl', url: info.linkUrl }, tab.windowId);
+      break;
+    }
+  }
+});
+
+/**
+ * Handle messages from the sidebar
+ */
+browser.runtime.onMessage.addListener((message) => {
+  switch (message && message.type) {
+    case 'getHeaderLog':
+      return Promise.resolve(getHeaderLog(message.url));
+    case 'clearHeaderLog':
+      clearHeaderLog(message.url);
+      return Promise.resolve();
+    case 'sidebarReady':
+      return Promise.resolve(takePendingMessage(message.windowId));
+    case 'storageReady':
+      return storageReady.then(() => true);
+    case 'frameScriptReady':
+      return registerFrameScript().then(() => true, () => false);
+    case 'takeUserCodeNonce':
+      return Promise.resolve(takeUserCodeNonce(message.frameId, message.url));
+    case 'closeTemporaryPage':
+      temporaryHosts.delete(message.windowId);
+      return Promise.resolve();
+  }
+});
+
+// Each sidebar keeps a port open, so its temporary page is forgotten when it closes
+// and frame-content.js stops being injected once no sidebar is open
+browser.runtime.onConnect.addListener((port) => {
+  const match = /^sidebar:(\d+)$/.exec(port.name);
+  if (!match) return;
+
+  openSidebars++;
+  registerFrameScript();
+
+  port.onDisconnect.addListener(() => {
+    temporaryHosts.delete(Number(match[1]));
+    openSidebars--;
+    if (openSidebars === 0) unregisterFrameScript();
+  });
+});
+
+// Keep the allow-list current when sites are added, edited or imported
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes.sites) {
+    updateSites(changes.sites.newValue);
+  }
+});
+
+// Apply settings changed from the options page
+onSettingsChanged(newSettings => {
+  const syncTurnedOn = newSettings.syncEnabled && !settings.syncEnabled;
+  settings = newSettings;
+  if (syncTurnedOn) runSync();
+});
+
+// Sync needs the settings to know if it's enabled, and migrated data to push
+storageReady.then(async () => {
+  settings = await loadSettings();
+  setupSync();
+  loadSites();
+});
+
+console.log('Sidebar Extension: Header stripping enabled');
@@ -0,0 +1,219 @@
+/**
+ * Backup file format
+ * Used by the sidebar to export and import sites, groups and settings
+ *
+ * Versions:
+ *   0 - a bare array of sites (first releases)
+ *   1 - { sites, groups }
+ *   2 - { format, version, exportedAt, sites, groups, settings, lastSiteId, icons? }
+ *       icons is optional and maps site URLs to cached favicon data URLs
+ */
+
+const BACKUP_FORMAT = 'my-sidebar-backup';
+const BACKUP_VERSION = 2;
+
+// Expected shape of a site in a backup (unknown fields are allowed and ignored)
+const BACKUP_SITE_SCHEMA = {
+  type: 'object',
+  required: ['name', 'url'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    url: { type: 'string' },
+    color: { type: 'string' },
+    userAgentMode: { type: 'string' },
+    customUserAgent: { type: 'string' },
+    hibernateMode: { type: 'string' },
+    hibernateMinutes: { type: 'number' },
+    customIcon: { type: 'string' },
+    viewport: { type: 'string' },
+    viewportWidth: { type: ['number', 'null'] },
+    zoom: { type: ['number', 'string'] },
+    userCss: { type: 'string' },
+    userScript: { type: 'string' },
+    groupId: { type: ['string', 'null'] }
+  }
+};
+
+const BACKUP_GROUP_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    icon: { type: 'string' },
+    color: { type: 'string' },
+    collapsed: { type: 'boolean' }
+  }
+};
+
+// Expected shape of a current version backup
+const BACKUP_SCHEMA = {
+  type: 'object',
+  required: ['format', 'version', 'sites', 'groups'],
+  properties: {
+    format: { type: 'string', enum: [BACKUP_FORMAT] },
+    version: { type: 'number', enum: [BACKUP_VERSION] },
+    exportedAt: { type: ['string', 'null'] },
+    sites: { type: 'array', items: BACKUP_SITE_SCHEMA },
+    groups: { type: 'array', items: BACKUP_GROUP_SCHEMA },
+    settings: { type: ['object', 'null'] },
+    lastSiteId: { type: ['string', 'null'] },
+    icons: { type: 'object', values: { type: 'string' } }
+  }
+};
+
+// Upgrade steps: BACKUP_UPGRADES[n] turns a version n backup into version n + 1
+const BACKUP_UPGRADES = {
+  0: (sites) => ({ sites: sites, groups: [] }),
+  1: (backup) => ({
+    format: BACKUP_FORMAT,
+    version: 2,
+    exportedAt: null,
+    sites: backup.sites,
+    groups: Array.isArray(backup.groups) ? backup.groups : [],
+    settings: null,
+    lastSiteId: null
+  })
+};
+
+/**
+ * Build a backup of the given data in the current format
+ */
+function createBackup({ sites, groups, settings, lastSiteId, icons }) {
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    sites: sites,
+    groups: groups,
+    settings: settings,
+    lastSiteId: lastSiteId || null
+  };
+  if (icons) backup.icons = icons;
+  return backup;
+}
+
+/**
+ * Check whether parsed JSON looks like a backup of any version
+ */
+function isBackup(data) {
+  return Array.isArray(data) ||
+    Boolean(data && (data.format === BACKUP_FORMAT || Array.isArray(data.sites)));
+}
+
+/**
+ * Get the type of a JSON value as used in schemas
+ */
+function getSchemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Describe a problem with a backup as a _locales message key and its substitutions
+ */
+function backupProblem(key, ...substitutions) {
+  return { key, substitutions };
+}
+
+/**
+ * Build the error thrown for a backup that can't be used
+ * Its problems are resolved to localized text by the caller
+ */
+function backupError(problems) {
+  const error = new Error(problems[0].key);
+  error.problems = problems;
+  return error;
+}
+
+/**
+ * Check a value against a schema
+ * Returns a list of problems (empty when the value is valid)
+ */
+function validateSchema(value, schema, path = 'backup') {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!types.includes(getSchemaType(value))) {
+    return [backupProblem('backupWrongType', path, types.join(' | '))];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [backupProblem('backupWrongValue', path, schema.enum.join(' | '))];
+  }
+
+  const errors = [];
+
+  if (schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (getSchemaType(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(backupProblem('backupMissingField', `${path}.${key}`));
+    });
+
+    Object.keys(schema.properties || {}).forEach(key => {
+      if (key in value) {
+        errors.push(...validateSchema(value[key], schema.properties[key], `${path}.${key}`));
+      }
+    });
+
+    if (schema.values) {
+      Object.keys(value).forEach(key => {
+        errors.push(...validateSchema(value[key], schema.values, `${path}["${key}"]`));
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Get the format version of a backup (older ones have no version field)
+ */
+function getBackupVersion(data) {
+  if (Array.isArray(data)) return 0;
+  if (data.version === undefined) return 1;
+  return data.version;
+}
+
+/**
+ * Upgrade a backup of any version to the current format and validate it
+ * Throws an error listing the first problems if the backup can't be used
+ * Older versions were imported leniently, so their sites and groups that don't
+ * match the schema are left out instead (counted in the result's `skipped`)
+ */
+function readBackup(data) {
+  let version = getBackupVersion(data);
+  if (typeof version !== 'number' || !Number.isInteger(version) || version < 0) {
+    throw backupError([backupProblem('backupUnknownVersion', version)]);
+  }
+  if (version > BACKUP_VERSION) {
+    throw backupError([backupProblem('backupNewerVersion', version)]);
+  }
+
+  const legacy = version < BACKUP_VERSION;
+  let backup = data;
+  while (version < BACKUP_VERSION) {
+    backup = BACKUP_UPGRADES[version](backup);
+    version++;
+  }
+
+  let skipped = 0;
+  if (legacy) {
+    [['sites', BACKUP_SITE_SCHEMA], ['groups', BACKUP_GROUP_SCHEMA]].forEach(([kind, schema]) => {
+      if (!Array.isArray(backup[kind])) return;
+      const valid = backup[kind].filter(item => validateSchema(item, schema).length === 0);
+      skipped += backup[kind].length - valid.length;
+      backup = { ...backup, [kind]: valid };
+    });
+  }
+
+  const errors = validateSchema(backup, BACKUP_SCHEMA);
+  if (errors.length > 0) {
+    throw backupError(errors.slice(0, 3));
+  }
+  return { ...backup, skipped };
+}
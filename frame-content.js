@@ -0,0 +1,233 @@
+/**
+ * Content script for sites embedded in the sidebar
+ * Reports the frame's real location, load state and unread count to sidebar.js
+ * and injects the site's custom CSS and script
+ */
+
+(() => {
+  // Only injected while a sidebar is open (see background.js), but that still
+  // covers every tab - sidebar frames are direct children of the sidebar page
+  if (window.top === window || window.parent !== window.top) return;
+
+  // Page scripts can change the URL (pushState) without any event we can hear,
+  // so the location is also checked while the page is visible
+  const LOCATION_POLL_INTERVAL = 1000;
+
+  // Time after load before checking if the page rendered anything
+  const BLANK_CHECK_DELAY = 5000;
+
+  // Unread count at the start of the title, e.g. "(3) WhatsApp" or "[12+] Slack"
+  const TITLE_COUNT_PATTERN = /^\s*[(\[]\s*(\d+)\+?\s*[)\]]/;
+
+  // Titles and favicons often change several times in a row
+  const UNREAD_REPORT_DELAY = 500;
+
+  // Favicons that look like an unread badge: drawn by the page (data: URLs) or
+  // named for it, e.g. "favicon-unread.png" or "icon_notification.ico"
+  const BADGE_FAVICON_PATTERN = /^data:image\/|unread|notif|badge|alert/i;
+
+  // Time for a single-page app to settle its favicon after it navigated
+  const FAVICON_SETTLE_DELAY = 2000;
+
+  let lastUrl = null;
+  let locationPollTimer = null;
+  let baseFavicon = null; // Favicon of the current page before any badge was drawn on it
+  let baseFaviconTimer = null;
+  let lastUnread; // Undefined until the first report, so it's always sent
+  let unreadTimer = null;
+  let watchingUnread = false;
+
+  /**
+   * Send the current location to the sidebar (only when it changed)
+   */
+  function reportLocation() {
+    if (location.href === lastUrl) return;
+    lastUrl = location.href;
+
+    // Single-page apps often change the favicon when they navigate - that's not a badge
+    if (watchingUnread) resetBaseFavicon();
+
+    browser.runtime.sendMessage({
+      type: 'frameLocation',
+      url: location.href
+    }).catch(() => {});
+  }
+
+  /**
+   * Poll the location only while the page can be seen
+   */
+  function updateLocationPoll() {
+    clearInterval(locationPollTimer);
+    locationPollTimer = null;
+
+    if (document.visibilityState === 'visible') {
+      reportLocation();
+      locationPollTimer = setInterval(reportLocation, LOCATION_POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Send the page's load state to the sidebar
+   */
+  function reportStatus(status) {
+    browser.runtime.sendMessage({ type: 'frameStatus', status: status }).catch(() => {});
+  }
+
+  /**
+   * Get the page's current favicon URL
+   */
+  function getFavicon() {
+    const link = document.querySelector('link[rel~="icon" i]');
+    return link ? link.href : null;
+  }
+
+  /**
+   * Take the favicon as the page's own once it has settled
+   */
+  function resetBaseFavicon() {
+    baseFavicon = null;
+    clearTimeout(baseFaviconTimer);
+    baseFaviconTimer = setTimeout(() => {
+      baseFavicon = getFavicon();
+      reportUnread();
+    }, FAVICON_SETTLE_DELAY);
+  }
+
+  /**
+   * Get the unread state shown by the page: a count from the title, 0 when only
+   * the favicon changed to one that looks like a badge, or null when nothing is unread
+   */
+  function getUnread() {
+    const match = document.title.match(TITLE_COUNT_PATTERN);
+    if (match) {
+      const count = parseInt(match[1], 10);
+      if (count > 0) return count;
+    }
+
+    const favicon = getFavicon();
+    if (baseFavicon !== null && favicon !== null && favicon !== baseFavicon &&
+        BADGE_FAVICON_PATTERN.test(favicon)) {
+      return 0;
+    }
+    return null;
+  }
+
+  /**
+   * Send the unread state to the sidebar (only when it changed)
+   */
+  function reportUnread() {
+    const unread = getUnread();
+    if (unread === lastUnread) return;
+    lastUnread = unread;
+
+    browser.runtime.sendMessage({ type: 'frameUnread', count: unread }).catch(() => {});
+  }
+
+  /**
+   * Watch the title and favicon for unread changes
+   */
+  function watchUnread() {
+    const observer = new MutationObserver(() => {
+      clearTimeout(unreadTimer);
+      unreadTimer = setTimeout(reportUnread, UNREAD_REPORT_DELAY);
+    });
+    observer.observe(document.head || document.documentElement, {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['href', 'rel']
+    });
+
+    watchingUnread = true;
+    baseFavicon = getFavicon();
+    reportUnread();
+  }
+
+  /**
+   * Check if the page shows nothing (e.g. it hid itself because it's framed)
+   */
+  function isPageBlank() {
+    const body = document.body;
+    if (!body) return true;
+
+    const hidden = [document.documentElement, body].some(element => {
+      const style = getComputedStyle(element);
+      return style.display === 'none' || style.visibility === 'hidden' || style.opacity === '0';
+    });
+    if (hidden) return true;
+
+    if (body.innerText.trim().length > 0) return false;
+    return !body.querySelector('img, svg, canvas, video, iframe, input, button');
+  }
+
+  /**
+   * Report that the page loaded, then check it actually rendered
+   */
+  function handleLoad() {
+    reportStatus('loaded');
+    watchUnread();
+
+    setTimeout(() => {
+      if (isPageBlank()) reportStatus('blank');
+    }, BLANK_CHECK_DELAY);
+  }
+
+  /**
+   * Add the site's custom CSS and script to the page
+   * The nonce is allowed by this page's CSP only (see background.js), and it's only
+   * needed while the elements are added - it's removed so the page can't read it
+   */
+  function injectUserCode(userCode) {
+    const parent = document.head || document.documentElement;
+
+    if (userCode.css) {
+      const style = document.createElement('style');
+      style.setAttribute('nonce', userCode.nonce);
+      style.textContent = userCode.css;
+      parent.appendChild(style);
+      style.removeAttribute('nonce');
+      style.nonce = '';
+    }
+
+    // The script runs in the page, in its own scope so its variables don't clash with the page's
+    if (userCode.script) {
+      const script = document.createElement('script');
+      script.setAttribute('nonce', userCode.nonce);
+      script.textContent = `(() => {\n${userCode.script}\n})();`;
+      parent.appendChild(script);
+      script.remove();
+    }
+  }
+
+  /**
+   * Start tracking once the sidebar confirms this is one of its frames
+   */
+  async function init() {
+    let reply = null;
+    try {
+      reply = await browser.runtime.sendMessage({ type: 'frameHello', url: location.href });
+    } catch (e) {
+      return;
+    }
+
+    // Frame on a regular web page - nothing to do
+    if (!reply) return;
+
+    if (reply.userCode) injectUserCode(reply.userCode);
+
+    lastUrl = location.href;
+    window.addEventListener('popstate', reportLocation);
+    window.addEventListener('hashchange', reportLocation);
+    document.addEventListener('visibilitychange', updateLocationPoll);
+    updateLocationPoll();
+
+    if (document.readyState === 'complete') {
+      handleLoad();
+    } else {
+      window.addEventListener('load', handleLoad, { once: true });
+    }
+  }
+
+  init();
+})();
@@ -0,0 +1,30 @@
+/**
+ * Localization helpers shared by the sidebar and the options page
+ * Strings live in _locales/<language>/messages.json
+ */
+
+/**
+ * Get a localized string ($1, $2, ... are replaced with the substitutions)
+ */
+function msg(key, ...substitutions) {
+  return browser.i18n.getMessage(key, substitutions.map(String)) || key;
+}
+
+/**
+ * Localize the page and set its language and text direction
+ * data-i18n sets an element's text, data-i18n-title / -placeholder set those attributes
+ */
+function localizePage() {
+  document.documentElement.lang = browser.i18n.getUILanguage();
+  document.documentElement.dir = browser.i18n.getMessage('@@bidi_dir') || 'ltr';
+
+  document.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = msg(element.dataset.i18n);
+  });
+  document.querySelectorAll('[data-i18n-title]').forEach(element => {
+    element.title = msg(element.dataset.i18nTitle);
+  });
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+    element.placeholder = msg(element.dataset.i18nPlaceholder);
+  });
+}
@@ -0,0 +1,149 @@
+/**
+ * Storage migrations
+ * storage.local carries a 'storageVersion' marker; when the background page starts,
+ * data stored by an older version is upgraded step by step before anything reads it
+ * (sync starts and sidebars load only once it's done, so it runs once at a time)
+ *
+ * Versions:
+ *   1 - 'sites' and 'lastSiteId' without a version marker (up to v1.2)
+ *   2 - 'groups' list, every site has an id, group and per-site options
+ *
+ * Migrations describe the data as it was at their version, so they don't use the
+ * sidebar's current defaults or validation. A layout change adds a new version
+ * and a migration from the previous one at the end of STORAGE_MIGRATIONS.
+ */
+
+const STORAGE_VERSION_KEY = 'storageVersion';
+const STORAGE_BACKUP_KEY = 'storageBackup';
+const STORAGE_VERSION = 2;
+
+// Ordered migrations: each one takes a copy of all stored data at the previous
+// version and returns the data at its own version (it may be async)
+const STORAGE_MIGRATIONS = [
+  {
+    version: 2,
+    migrate: (data) => {
+      const groups = Array.isArray(data.groups) ? data.groups : [];
+      const groupIds = new Set(groups.map(group => group.id));
+
+      const sites = (Array.isArray(data.sites) ? data.sites : [])
+        .filter(site => site && typeof site.name === 'string' && typeof site.url === 'string')
+        .map(site => ({
+          ...site,
+          id: site.id || 'site_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9),
+          color: site.color || '#4a9eff',
+          userAgentMode: site.userAgentMode || 'default',
+          customUserAgent: site.customUserAgent || '',
+          hibernateMode: site.hibernateMode || 'default',
+          hibernateMinutes: site.hibernateMinutes || 15,
+          customIcon: site.customIcon || '',
+          groupId: groupIds.has(site.groupId) ? site.groupId : null
+        }));
+
+      const lastSiteId = sites.some(site => site.id === data.lastSiteId) ? data.lastSiteId : undefined;
+      return { ...data, sites, groups, lastSiteId };
+    }
+  }
+];
+
+/**
+ * Get the layout version of stored data (older installs have no marker)
+ */
+function getStorageVersion(data) {
+  if (typeof data[STORAGE_VERSION_KEY] === 'number') return data[STORAGE_VERSION_KEY];
+
+  // A new install has nothing to migrate
+  const keys = Object.keys(data).filter(key => key !== STORAGE_BACKUP_KEY);
+  return keys.length === 0 ? STORAGE_VERSION : 1;
+}
+
+/**
+ * Write migrated data, removing keys the migrations dropped
+ */
+async function writeStorageData(before, after) {
+  const removed = Object.keys(before).filter(key => after[key] === undefined);
+  const values = {};
+  Object.keys(after).forEach(key => {
+    if (after[key] !== undefined) values[key] = after[key];
+  });
+
+  if (removed.length > 0) await browser.storage.local.remove(removed);
+  await browser.storage.local.set(values);
+}
+
+/**
+ * Put back the data saved before a migration
+ */
+async function restoreStorageBackup(backup, current) {
+  try {
+    await writeStorageData(current, backup.data);
+    console.log(`Storage restored to version ${backup.version}`);
+  } catch (e) {
+    console.log('Could not restore storage backup:', e.message);
+  }
+}
+
+/**
+ * Run pending migrations, backing up the stored data first and restoring it
+ * if a migration fails (the sidebar then works with the old data)
+ * The backup is removed once the migrated data is written
+ */
+async function migrateStorage() {
+  let data;
+  try {
+    data = await browser.storage.local.get(null);
+  } catch (e) {
+    console.log('Could not read storage for migration');
+    return;
+  }
+
+  const version = getStorageVersion(data);
+  if (version > STORAGE_VERSION) {
+    console.log(`Storage version ${version} is newer than this version of the extension`);
+    return;
+  }
+  if (version === STORAGE_VERSION) {
+    if (data[STORAGE_VERSION_KEY] !== STORAGE_VERSION) {
+      try {
+        await browser.storage.local.set({ [STORAGE_VERSION_KEY]: STORAGE_VERSION });
+      } catch (e) {
+        console.log('Could not save storage version');
+      }
+    }
+    return;
+  }
+
+  // Keep a copy of everything (except an older backup) before touching it
+  const original = { ...data };
+  delete original[STORAGE_BACKUP_KEY];
+  const backup = { version, createdAt: Date.now(), data: original };
+
+  try {
+    await browser.storage.local.set({ [STORAGE_BACKUP_KEY]: backup });
+  } catch (e) {
+    console.log('Could not back up storage, skipping migration');
+    return;
+  }
+
+  let migrated = JSON.parse(JSON.stringify(original));
+  try {
+    for (const migration of STORAGE_MIGRATIONS) {
+      if (migration.version <= version) continue;
+      migrated = await migration.migrate(migrated);
+      migrated[STORAGE_VERSION_KEY] = migration.version;
+    }
+    await writeStorageData(original, migrated);
+    console.log(`Storage migrated from version ${version} to ${STORAGE_VERSION}`);
+  } catch (e) {
+    console.log('Storage migration failed, rolling back:', e.message);
+    await restoreStorageBackup(backup, migrated);
+    return;
+  }
+
+  // The copy doubles the stored data, so it's only kept while it may be needed
+  try {
+    await browser.storage.local.remove(STORAGE_BACKUP_KEY);
+  } catch (e) {
+    console.log('Could not remove storage backup');
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Options page for the global settings (see settings.js)
+ * Saved settings are applied live by sidebar.js and background.js
+ */
+
+const settingsForm = document.getElementById('settingsForm');
+const optionsStatus = document.getElementById('optionsStatus');
+const btnReset = document.getElementById('btnReset');
+const syncError = document.getElementById('syncError');
+
+// Form fields, by setting key
+const fields = {
+  theme: document.getElementById('theme'),
+  accentColor: document.getElementById('accentColor'),
+  hibernateMinutes: document.getElementById('hibernateMinutes'),
+  framePoolSize: document.getElementById('framePoolSize'),
+  faviconServiceEnabled: document.getElementById('faviconServiceEnabled'),
+  faviconServiceUrl: document.getElementById('faviconServiceUrl'),
+  faviconCacheDays: document.getElementById('faviconCacheDays'),
+  defaultColor: document.getElementById('defaultColor'),
+  mobileUserAgent: document.getElementById('mobileUserAgent'),
+  headerLogLimit: document.getElementById('headerLogLimit'),
+  syncEnabled: document.getElementById('syncEnabled')
+};
+
+let statusTimer = null;
+
+/**
+ * Fill the form with a settings object
+ */
+function fillForm(settings) {
+  Object.keys(fields).forEach(key => {
+    if (fields[key].type === 'checkbox') {
+      fields[key].checked = settings[key];
+    } else {
+      fields[key].value = settings[key];
+    }
+  });
+}
+
+/**
+ * Show a short status message next to the buttons
+ */
+function showStatus(text, isError = false) {
+  optionsStatus.textContent = text;
+  optionsStatus.classList.toggle('error', isError);
+
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    optionsStatus.textContent = '';
+  }, 3000);
+}
+
+/**
+ * Save the form
+ */
+async function handleSubmit(e) {
+  e.preventDefault();
+
+  if (!fields.faviconServiceUrl.value.includes('{url}')) {
+    showStatus(msg('optionsFaviconInvalid'), true);
+    fields.faviconServiceUrl.focus();
+    return;
+  }
+
+  const settings = {};
+  Object.keys(fields).forEach(key => {
+    settings[key] = fields[key].type === 'checkbox' ? fields[key].checked : fields[key].value;
+  });
+
+  await saveSettings(settings);
+  fillForm(await loadSettings());
+  showStatus(msg('optionsSaved'));
+}
+
+/**
+ * Restore the defaults
+ */
+async function handleReset() {
+  if (!confirm(msg('optionsResetConfirm'))) return;
+
+  await resetSettings();
+  fillForm(DEFAULT_SETTINGS);
+  showStatus(msg('optionsResetDone'));
+}
+
+/**
+ * Show a sync error reported by the background script (see sync.js)
+ */
+function showSyncError(syncState) {
+  syncError.hidden = !syncState || syncState.lastError !== 'quota';
+}
+
+/**
+ * Initialize the options page
+ */
+async function init() {
+  localizePage();
+
+  const settings = await loadSettings();
+  setupTheme(settings);
+  fillForm(settings);
+
+  // Preview the theme as soon as it's saved
+  onSettingsChanged(applyTheme);
+
+  try {
+    const result = await browser.storage.local.get('syncState');
+    showSyncError(result.syncState);
+  } catch (e) {
+    console.log('Could not load sync state');
+  }
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.syncState) showSyncError(changes.syncState.newValue);
+  });
+
+  settingsForm.addEventListener('submit', handleSubmit);
+  btnReset.addEventListener('click', handleReset);
+}
+
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,102 @@
+/**
+ * Global extension settings
+ * Shared by the sidebar, the background script and the options page
+ * Settings are stored in browser.storage.local under the 'settings' key
+ */
+
+// Available themes ('auto' follows the system, 'firefox' the browser theme)
+const THEMES = ['dark', 'light', 'auto', 'firefox'];
+
+// Default value of every setting
+const DEFAULT_SETTINGS = {
+  hibernateMinutes: 5,        // Default sleep timeout for sites
+  framePoolSize: 5,           // Max number of site frames kept in memory
+  faviconCacheDays: 7,        // How long fetched favicons are cached
+  faviconServiceEnabled: false, // Ask an external service when a site's own icon can't be found
+  faviconServiceUrl: 'https://www.google.com/s2/favicons?domain={url}&sz=128',
+  defaultColor: '#4a9eff',    // Fallback color for new sites and groups
+  theme: 'dark',
+  accentColor: '#4a9eff',     // Active indicator and buttons
+  mobileUserAgent: 'Mozilla/5.0 (Android 14; Mobile; rv:140.0) Gecko/140.0 Firefox/140.0',
+  headerLogLimit: 50,         // Max header log entries kept per site
+  syncEnabled: false          // Sync sites and groups through Firefox Sync
+};
+
+/**
+ * Merge stored settings over the defaults, dropping invalid values
+ */
+function normalizeSettings(stored) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!stored || typeof stored !== 'object') return settings;
+
+  ['hibernateMinutes', 'faviconCacheDays', 'headerLogLimit'].forEach(key => {
+    const value = Number(stored[key]);
+    if (value > 0) settings[key] = value;
+  });
+  const framePoolSize = Number(stored.framePoolSize);
+  if (Number.isInteger(framePoolSize) && framePoolSize > 0) settings.framePoolSize = framePoolSize;
+
+  ['faviconServiceEnabled', 'syncEnabled'].forEach(key => {
+    if (typeof stored[key] === 'boolean') settings[key] = stored[key];
+  });
+  if (typeof stored.faviconServiceUrl === 'string' && stored.faviconServiceUrl.includes('{url}')) {
+    settings.faviconServiceUrl = stored.faviconServiceUrl.trim();
+  }
+  ['defaultColor', 'accentColor'].forEach(key => {
+    if (/^#[0-9a-f]{6}$/i.test(stored[key])) settings[key] = stored[key];
+  });
+  if (THEMES.includes(stored.theme)) {
+    settings.theme = stored.theme;
+  }
+  if (typeof stored.mobileUserAgent === 'string' && stored.mobileUserAgent.trim()) {
+    settings.mobileUserAgent = stored.mobileUserAgent.trim();
+  }
+
+  return settings;
+}
+
+/**
+ * Load the settings from storage
+ */
+async function loadSettings() {
+  try {
+    const result = await browser.storage.local.get('settings');
+    return normalizeSettings(result.settings);
+  } catch (e) {
+    console.log('Could not load settings');
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save the settings to storage
+ */
+async function saveSettings(settings) {
+  try {
+    await browser.storage.local.set({ settings: normalizeSettings(settings) });
+  } catch (e) {
+    console.log('Could not save settings');
+  }
+}
+
+/**
+ * Restore every setting to its default
+ */
+async function resetSettings() {
+  try {
+    await browser.storage.local.remove('settings');
+  } catch (e) {
+    console.log('Could not reset settings');
+  }
+}
+
+/**
+ * Call back with the new settings whenever they change
+ */
+function onSettingsChanged(callback) {
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.settings) {
+      callback(normalizeSettings(changes.settings.newValue));
+    }
+  });
+}
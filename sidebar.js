@@ -2,13 +2,16 @@
  * Sidebar Sites Configuration
  * ===========================
  * Sites are stored in browser.storage.local for persistence
- * Favicons are cached in IndexedDB for performance
+ * Favicons are read from the sites themselves and cached in IndexedDB for performance
  */
 
 // Default sites (used on first install)
 // All sites use automatic favicon fetching
 const DEFAULT_SITES = [];
 
+// Global settings (see settings.js), kept in sync with storage
+let settings = { ...DEFAULT_SETTINGS };
+
 // ===================
 // FAVICON CACHE SYSTEM
 // ===================
@@ -16,7 +19,8 @@ const DEFAULT_SITES = [];
 const DB_NAME = 'SidebarFaviconCache';
 const DB_VERSION = 1;
 const STORE_NAME = 'favicons';
-const CACHE_DURATION = 7 * 24 * 60 * 60 * 1000; // 7 days in milliseconds
+const CACHE_DAY = 24 * 60 * 60 * 1000; // Cache duration is set in days
+const CACHE_MAX_BYTES = 5 * 1024 * 1024; // Total size cap for cached favicons
 
 let db = null;
 
@@ -56,7 +60,7 @@ function getCachedFavicon(domain) {
     request.onerror = () => resolve(null);
     request.onsuccess = () => {
       const result = request.result;
-      if (result && (Date.now() - result.timestamp < CACHE_DURATION)) {
+      if (result && (Date.now() - result.timestamp < settings.faviconCacheDays * CACHE_DAY)) {
         resolve(result.dataUrl);
       } else {
         resolve(null); // Expired or not found
@@ -78,6 +82,7 @@ function cacheFavicon(domain, dataUrl) {
     store.put({
       domain: domain,
       dataUrl: dataUrl,
+      size: dataUrl.length,
       timestamp: Date.now()
     });
     
@@ -87,49 +92,261 @@ function cacheFavicon(domain, dataUrl) {
 }
 
 /**
- * Fetch favicon using Google's Favicon Service with full URL
- * This ensures we get the exact favicon for the specific page/service
+ * Get the cached favicons of several sites as { url: dataUrl } (expired ones left out)
  */
-function fetchAndCacheFavicon(cacheKey, fullUrl) {
+function getCachedFavicons(siteUrls) {
   return new Promise((resolve) => {
-    try {
-      // Use Google's favicon service with the FULL URL (not just domain)
-      // This gives us the correct favicon for services like Google Translate, Notebook LM, etc.
-      const faviconUrl = `https://www.google.com/s2/favicons?domain=${encodeURIComponent(fullUrl)}&sz=128`;
-      
-      const xhr = new XMLHttpRequest();
-      xhr.responseType = 'blob';
-      xhr.timeout = 10000;
+    if (!db) return resolve({});
+    
+    const wanted = new Set(siteUrls);
+    const maxAge = settings.faviconCacheDays * CACHE_DAY;
+    const request = db.transaction([STORE_NAME], 'readonly').objectStore(STORE_NAME).getAll();
+    
+    request.onerror = () => resolve({});
+    request.onsuccess = () => {
+      const icons = {};
+      request.result.forEach(entry => {
+        if (wanted.has(entry.domain) && Date.now() - entry.timestamp < maxAge) {
+          icons[entry.domain] = entry.dataUrl;
+        }
+      });
+      resolve(icons);
+    };
+  });
+}
+
+/**
+ * Remove a favicon from IndexedDB cache
+ */
+function deleteCachedFavicon(domain) {
+  return new Promise((resolve) => {
+    if (!db) return resolve();
+    
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    transaction.objectStore(STORE_NAME).delete(domain);
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => resolve();
+  });
+}
+
+/**
+ * Prune the favicon cache: drop expired entries and entries of sites that no longer
+ * exist, then the oldest entries until the cache fits in CACHE_MAX_BYTES
+ */
+function pruneFaviconCache(siteUrls) {
+  return new Promise((resolve) => {
+    if (!db) return resolve();
+    
+    const keep = new Set(siteUrls);
+    const maxAge = settings.faviconCacheDays * CACHE_DAY;
+    const transaction = db.transaction([STORE_NAME], 'readwrite');
+    const store = transaction.objectStore(STORE_NAME);
+    const request = store.getAll();
+    
+    request.onsuccess = () => {
+      const now = Date.now();
+      const kept = [];
       
-      xhr.onload = function() {
-        if (xhr.status === 200) {
-          const blob = xhr.response;
-          
-          // Check if it's a valid image (not too small)
-          if (blob.size > 50) {
-            blobToDataUrl(blob).then((dataUrl) => {
-              // Cache it
-              cacheFavicon(cacheKey, dataUrl).then(() => {
-                resolve(dataUrl);
-              });
-            }).catch(() => {
-              resolve(null);
-            });
-          } else {
-            resolve(null);
-          }
+      request.result.forEach(entry => {
+        if (!keep.has(entry.domain) || now - entry.timestamp >= maxAge) {
+          store.delete(entry.domain);
         } else {
-          resolve(null);
+          kept.push(entry);
         }
-      };
+      });
       
-      xhr.onerror = xhr.ontimeout = () => resolve(null);
-      xhr.open('GET', faviconUrl, true);
-      xhr.send();
-    } catch (e) {
-      resolve(null);
+      // Over the cap: evict oldest first
+      let total = kept.reduce((sum, entry) => sum + (entry.size || entry.dataUrl.length), 0);
+      kept.sort((a, b) => a.timestamp - b.timestamp);
+      for (const entry of kept) {
+        if (total <= CACHE_MAX_BYTES) break;
+        store.delete(entry.domain);
+        total -= entry.size || entry.dataUrl.length;
+      }
+    };
+    
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => resolve();
+  });
+}
+
+// Favicon resolution: icons are read from the site itself
+const FAVICON_TARGET_SIZE = 128; // Preferred icon size in pixels
+const FAVICON_TIMEOUT = 10000;
+const FAVICON_MIN_BYTES = 50; // Smaller responses aren't real icons
+
+// Favicon lookups made this session (cacheKey -> Promise), so failed lookups aren't repeated
+const faviconLookups = new Map();
+
+/**
+ * Fetch a URL, giving up after FAVICON_TIMEOUT
+ */
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FAVICON_TIMEOUT);
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Fetch an image and convert it to a data URL (null if it isn't a usable image)
+ */
+async function fetchImageAsDataUrl(url) {
+  try {
+    const response = await fetchWithTimeout(url);
+    if (!response.ok) return null;
+    
+    const blob = await response.blob();
+    
+    // Error pages are often served with a 200 status
+    if (blob.size <= FAVICON_MIN_BYTES || blob.type.startsWith('text/')) return null;
+    
+    return await blobToDataUrl(blob);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the largest size (in pixels) from a sizes attribute like "32x32 64x64"
+ * SVG icons and "any" scale to every size
+ */
+function parseIconSize(sizes, type) {
+  if (type === 'image/svg+xml' || /\bany\b/i.test(sizes || '')) return Infinity;
+  
+  let largest = 0;
+  (sizes || '').split(/\s+/).forEach(size => {
+    const match = size.match(/^(\d+)x(\d+)$/i);
+    if (match) largest = Math.max(largest, parseInt(match[1]));
+  });
+  return largest;
+}
+
+/**
+ * Read the icons listed in a web app manifest
+ */
+async function getManifestIcons(manifestUrl) {
+  try {
+    const response = await fetchWithTimeout(manifestUrl);
+    if (!response.ok) return [];
+    
+    const manifest = await response.json();
+    if (!Array.isArray(manifest.icons)) return [];
+    
+    return manifest.icons
+      .filter(icon => icon && icon.src && !/^monochrome$/i.test(icon.purpose || ''))
+      .map(icon => ({
+        url: new URL(icon.src, response.url).href,
+        size: parseIconSize(icon.sizes, icon.type)
+      }));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Find every icon a site declares: <link rel=icon>, apple-touch-icon,
+ * web manifest icons, and /favicon.ico as the last resort
+ */
+async function getSiteIconCandidates(siteUrl) {
+  const candidates = [];
+  let pageUrl = siteUrl;
+  
+  try {
+    const response = await fetchWithTimeout(siteUrl);
+    pageUrl = response.url || siteUrl;
+    
+    const html = await response.text();
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const base = doc.querySelector('base[href]');
+    const baseUrl = base ? new URL(base.getAttribute('href'), pageUrl).href : pageUrl;
+    
+    doc.querySelectorAll('link[rel][href]').forEach(link => {
+      const rel = link.getAttribute('rel').toLowerCase().split(/\s+/);
+      const url = new URL(link.getAttribute('href'), baseUrl).href;
+      
+      if (rel.includes('icon')) {
+        candidates.push({ url, size: parseIconSize(link.getAttribute('sizes'), link.getAttribute('type')) });
+      } else if (rel.includes('apple-touch-icon') || rel.includes('apple-touch-icon-precomposed')) {
+        // Apple touch icons are 180x180 unless stated otherwise
+        candidates.push({ url, size: parseIconSize(link.getAttribute('sizes')) || 180 });
+      }
+    });
+    
+    const manifestLink = doc.querySelector('link[rel="manifest"][href]');
+    if (manifestLink) {
+      candidates.push(...await getManifestIcons(new URL(manifestLink.getAttribute('href'), baseUrl).href));
     }
+  } catch (e) {
+    // Page couldn't be fetched or parsed - /favicon.ico may still work
+  }
+  
+  try {
+    candidates.push({ url: new URL('/favicon.ico', pageUrl).href, size: 0 });
+  } catch (e) {
+    // Invalid URL
+  }
+  
+  return candidates;
+}
+
+/**
+ * Order icon candidates best first: the smallest one that is at least
+ * FAVICON_TARGET_SIZE, then the rest from largest to smallest
+ */
+function rankIconCandidates(candidates) {
+  const seen = new Set();
+  const unique = candidates.filter(candidate => {
+    if (seen.has(candidate.url)) return false;
+    seen.add(candidate.url);
+    return true;
   });
+  
+  const bigEnough = unique.filter(c => c.size >= FAVICON_TARGET_SIZE).sort((a, b) => a.size - b.size);
+  const tooSmall = unique.filter(c => c.size < FAVICON_TARGET_SIZE).sort((a, b) => b.size - a.size);
+  return [...bigEnough, ...tooSmall];
+}
+
+/**
+ * Resolve a site's favicon from the site itself (no third-party requests)
+ */
+async function resolveSiteFavicon(siteUrl) {
+  const candidates = rankIconCandidates(await getSiteIconCandidates(siteUrl));
+  
+  for (const candidate of candidates) {
+    const dataUrl = await fetchImageAsDataUrl(candidate.url);
+    if (dataUrl) return dataUrl;
+  }
+  return null;
+}
+
+/**
+ * Fetch a favicon from the external favicon service in settings (opt-in fallback)
+ * The service gets the FULL URL, so services like Google Translate get their own icon
+ */
+function fetchFaviconFromService(fullUrl) {
+  const faviconUrl = settings.faviconServiceUrl.replace('{url}', encodeURIComponent(fullUrl));
+  return fetchImageAsDataUrl(faviconUrl);
+}
+
+/**
+ * Resolve a favicon and cache it
+ */
+async function fetchAndCacheFavicon(cacheKey, fullUrl) {
+  let dataUrl = await resolveSiteFavicon(fullUrl);
+  
+  if (!dataUrl && settings.faviconServiceEnabled) {
+    dataUrl = await fetchFaviconFromService(fullUrl);
+  }
+  
+  if (dataUrl) {
+    await cacheFavicon(cacheKey, dataUrl);
+  }
+  return dataUrl;
 }
 
 /**
@@ -149,26 +366,27 @@ function blobToDataUrl(blob) {
  * Uses the full URL as cache key to ensure each service gets its own favicon
  */
 function getFavicon(siteUrl) {
-  return new Promise((resolve) => {
-    try {
-      // Use full URL as cache key (not just domain)
-      // This ensures Google Translate, Notebook LM, etc. each get their own favicon
-      const cacheKey = siteUrl;
-      
-      // Try cache first
-      getCachedFavicon(cacheKey).then((cached) => {
-        if (cached) {
-          resolve(cached);
-          return;
-        }
-        
-        // Fetch and cache with full URL
-        fetchAndCacheFavicon(cacheKey, siteUrl).then(resolve);
-      });
-    } catch (e) {
-      resolve(null);
-    }
-  });
+  // Use full URL as cache key (not just domain)
+  // This ensures Google Translate, Notebook LM, etc. each get their own favicon
+  const cacheKey = siteUrl;
+  
+  if (!faviconLookups.has(cacheKey)) {
+    // Try cache first, then fetch and cache with full URL
+    const lookup = getCachedFavicon(cacheKey)
+      .then(cached => cached || fetchAndCacheFavicon(cacheKey, siteUrl))
+      .catch(() => null);
+    faviconLookups.set(cacheKey, lookup);
+  }
+  
+  return faviconLookups.get(cacheKey);
+}
+
+/**
+ * Forget a site's favicon so the next render fetches it again
+ */
+async function refreshFavicon(siteUrl) {
+  faviconLookups.delete(siteUrl);
+  await deleteCachedFavicon(siteUrl);
 }
 
 // ===================
@@ -177,11 +395,12 @@ function getFavicon(siteUrl) {
 
 // Current sites list
 let sites = [];
-let activeButton = null;
-let selectedColor = '#4a9eff';
+let groups = []; // Icon bar groups: { id, name, icon, color, collapsed }
+let selectedColor = DEFAULT_SETTINGS.defaultColor;
 let contextMenu = null;
 let editingSiteId = null; // Track if we're editing a site
-let currentSiteUrl = null; // Track currently loaded site URL
+let editingGroupId = null; // Track if we're editing a group
+let selectedGroupColor = DEFAULT_SETTINGS.defaultColor;
 
 // Drag and drop state
 let draggedItem = null;
@@ -189,16 +408,73 @@ let draggedIndex = -1;
 let dropIndicator = null;
 
 // Auto-hibernate state
-const HIBERNATE_TIMEOUT = 5 * 60 * 1000; // 5 minutes of inactivity
+const HIBERNATE_CHECK_INTERVAL = 30 * 1000; // How often frames are checked
+const HIBERNATE_MODES = ['default', 'never', 'custom', 'immediate'];
 let hibernateTimer = null;
-let isHibernated = false;
 let lastActivityTime = Date.now();
-let hibernatedUrl = null; // Store URL when hibernated
+let hibernateOverlayTimer = null; // Keeps the "asleep for" text current
+
+// Per-site User-Agent modes (applied by background.js)
+const USER_AGENT_MODES = ['default', 'mobile', 'custom'];
+
+// Per-site viewport and zoom: the frame is laid out at the viewport width and
+// scaled by the zoom level inside the panel ('fit' scales it to the panel width)
+const VIEWPORT_MODES = ['fill', 'phone', 'tablet', 'custom'];
+const VIEWPORT_PRESETS = { phone: 375, tablet: 768 };
+const VIEWPORT_MIN_WIDTH = 200;
+const VIEWPORT_MAX_WIDTH = 3840;
+const ZOOM_LEVELS = [50, 67, 75, 80, 90, 100, 110, 125, 150];
+const ZOOM_FIT = 'fit';
+
+// Iframe pool state (keeps recently used sites alive, up to settings.framePoolSize)
+const framePool = new Map(); // siteId -> { frame, pane, url, currentUrl, lastUsed, status, ... }
+
+// Split view: up to two panes stacked in the panel, each showing its own site
+// The navigation bar, keyboard commands and icon clicks act on the focused pane
+const PANE_COUNT = 2;
+const SPLIT_MIN_RATIO = 0.2;
+const SPLIT_MAX_RATIO = 0.8;
+const SPLIT_KEY_STEP = 0.05;
+const panes = []; // { index, element, wrapper, siteId, hibernated, hibernatedAt, ... }
+let focusedPane = null;
+let paneDivider = null;
+let splitLayout = { enabled: false, ratio: 0.5 }; // Saved with the second pane's site
+
+// Last location of each site inside its frame (siteId -> url)
+const LAST_URL_SAVE_DELAY = 1000;
+let lastUrls = {};
+let lastUrlsSaveTimer = null;
+
+// Back/forward history of each frame, built from its location reports
+const FRAME_HISTORY_LIMIT = 50;
+
+// Embed check: frame-content.js must report in after the frame's load event
+const EMBED_CHECK_TIMEOUT = 3000;
+const EMBED_REPORT_GRACE = 2000; // Reports can arrive just before the load event
+let embedFailures = {}; // siteId -> time of the last failed embed
+
+// Unread counts reported by frame-content.js (siteId -> count)
+// 0 means the site shows a badge without a number (e.g. on its favicon)
+const unreadCounts = new Map();
+const UNREAD_MAX_SHOWN = 99;
+
+// Entries shown in the import preview ({ sites, groups })
+let importData = null;
+
+// Custom site icons (uploaded images are scaled down before saving)
+const CUSTOM_ICON_SIZE = 64;
+const CUSTOM_ICON_MAX_LENGTH = 100 * 1024; // Longer data URLs are dropped on import
+let editingIcon = ''; // Custom icon chosen in the site modal
+
+// Link opened in the sidebar without being saved as a site
+const TEMPORARY_SITE_ID = 'temporary';
+let temporarySite = null;
+
+// Window this sidebar belongs to (keyboard commands target one window)
+let currentWindowId = null;
 
 // DOM Elements
 const iconBar = document.getElementById('iconBar');
-const webFrame = document.getElementById('webFrame');
-const welcome = document.getElementById('welcome');
 const modalOverlay = document.getElementById('modalOverlay');
 const modalClose = document.getElementById('modalClose');
 const modalTitle = document.getElementById('modalTitle');
@@ -206,17 +482,66 @@ const btnCancel = document.getElementById('btnCancel');
 const btnSave = document.getElementById('btnSave');
 const siteName = document.getElementById('siteName');
 const siteUrl = document.getElementById('siteUrl');
+const siteUserAgent = document.getElementById('siteUserAgent');
+const siteCustomUserAgent = document.getElementById('siteCustomUserAgent');
+const siteViewport = document.getElementById('siteViewport');
+const siteViewportWidth = document.getElementById('siteViewportWidth');
+const siteZoom = document.getElementById('siteZoom');
+const siteHibernateMode = document.getElementById('siteHibernateMode');
+const siteHibernateMinutes = document.getElementById('siteHibernateMinutes');
+const siteIcon = document.getElementById('siteIcon');
+const siteIconPreview = document.getElementById('siteIconPreview');
+const siteIconFile = document.getElementById('siteIconFile');
+const siteUserCode = document.getElementById('siteUserCode');
+const siteUserCss = document.getElementById('siteUserCss');
+const siteUserScript = document.getElementById('siteUserScript');
+const btnIconUpload = document.getElementById('btnIconUpload');
+const btnIconClear = document.getElementById('btnIconClear');
 const colorPicker = document.getElementById('colorPicker');
 const importFile = document.getElementById('importFile');
+const toast = document.getElementById('toast');
+const toastText = document.getElementById('toastText');
+const toastAction = document.getElementById('toastAction');
+const importOverlay = document.getElementById('importOverlay');
+const importClose = document.getElementById('importClose');
+const importFolderGroup = document.getElementById('importFolderGroup');
+const importFolder = document.getElementById('importFolder');
+const importSelectAll = document.getElementById('importSelectAll');
+const importReplace = document.getElementById('importReplace');
+const importSettingsOption = document.getElementById('importSettingsOption');
+const importSettings = document.getElementById('importSettings');
+const importSkipped = document.getElementById('importSkipped');
+const importList = document.getElementById('importList');
+const btnImportCancel = document.getElementById('btnImportCancel');
+const btnImportConfirm = document.getElementById('btnImportConfirm');
 const webPanel = document.querySelector('.web-panel');
-const iframeWrapper = document.getElementById('iframeWrapper');
+const panesContainer = document.getElementById('panes');
+const paneTemplate = document.getElementById('paneTemplate');
+const logOverlay = document.getElementById('logOverlay');
+const logTitle = document.getElementById('logTitle');
+const logBody = document.getElementById('logBody');
+const groupOverlay = document.getElementById('groupOverlay');
+const groupModalTitle = document.getElementById('groupModalTitle');
+const groupName = document.getElementById('groupName');
+const groupIcon = document.getElementById('groupIcon');
+const groupColorPicker = document.getElementById('groupColorPicker');
+const paletteOverlay = document.getElementById('paletteOverlay');
+const paletteInput = document.getElementById('paletteInput');
+const paletteResults = document.getElementById('paletteResults');
+const navBack = document.getElementById('navBack');
+const navForward = document.getElementById('navForward');
+const navAddress = document.getElementById('navAddress');
+const navViewport = document.getElementById('navViewport');
+const navZoom = document.getElementById('navZoom');
+const navSplit = document.getElementById('navSplit');
 
 /**
- * Load sites from storage
+ * Load sites and groups from storage
  */
 async function loadSites() {
   try {
-    const result = await browser.storage.local.get('sites');
+    const result = await browser.storage.local.get(['sites', 'groups']);
+    groups = Array.isArray(result.groups) ? result.groups : [];
     if (result.sites && result.sites.length > 0) {
       sites = result.sites;
     } else {
@@ -230,21 +555,86 @@ async function loadSites() {
 }
 
 /**
- * Save sites to storage
+ * Save sites and groups to storage
  */
 async function saveSites() {
   try {
-    await browser.storage.local.set({ sites });
+    await browser.storage.local.set({ sites, groups });
   } catch (e) {
     console.log('Could not save to storage');
   }
 }
 
+/**
+ * Reload sites and groups changed elsewhere (sync, or the sidebar of another window)
+ */
+function handleSitesChanged(changes, areaName) {
+  if (areaName === 'local' && changes.syncState) {
+    handleSyncStateChanged(changes.syncState);
+  }
+  if (areaName !== 'local' || (!changes.sites && !changes.groups)) return;
+  
+  const newSites = changes.sites ? changes.sites.newValue || [] : sites;
+  const newGroups = changes.groups ? changes.groups.newValue || [] : groups;
+  
+  // Our own saves come back here too
+  if (JSON.stringify(newSites) === JSON.stringify(sites) &&
+      JSON.stringify(newGroups) === JSON.stringify(groups)) {
+    return;
+  }
+  
+  // Undo snapshots would overwrite the other change
+  clearUndoHistory();
+  replaceSitesData(newSites, newGroups);
+}
+
+/**
+ * Tell the user when sync stopped because the data doesn't fit in Firefox Sync
+ */
+function handleSyncStateChanged(change) {
+  const before = change.oldValue && change.oldValue.lastError;
+  const after = change.newValue && change.newValue.lastError;
+  if (after === 'quota' && before !== 'quota') {
+    showToast(msg('syncQuotaExceeded'));
+  }
+}
+
+/**
+ * Show a new list of sites and groups, unloading sites that are gone
+ */
+function replaceSitesData(newSites, newGroups) {
+  // Forget where deleted sites were and whether they failed to embed
+  sites.filter(site => !newSites.some(s => s.id === site.id)).forEach(site => {
+    clearLastUrl(site.id);
+    setEmbedFailure(site.id, false);
+  });
+  
+  sites = newSites;
+  groups = newGroups;
+  
+  // Unload sites that were deleted
+  framePool.forEach((entry, siteId) => {
+    if (siteId !== TEMPORARY_SITE_ID && !sites.some(s => s.id === siteId)) {
+      destroyFrame(siteId);
+    }
+  });
+  
+  panes.forEach(pane => {
+    if (pane.siteId && pane.siteId !== TEMPORARY_SITE_ID && !sites.some(s => s.id === pane.siteId)) {
+      clearPane(pane);
+    }
+  });
+  
+  renderIcons();
+  applyAllFrameViews();
+  updateViewControls();
+}
+
 /**
  * Generate unique ID
  */
-function generateId() {
-  return 'site_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+function generateId(prefix = 'site') {
+  return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
 /**
@@ -259,6 +649,24 @@ function createIconButton(site, index) {
   button.setAttribute('data-index', index);
   button.setAttribute('draggable', 'true');
   
+  // Warning badge for sites that failed to embed
+  const warning = document.createElement('span');
+  warning.className = 'embed-warning';
+  warning.textContent = '!';
+  button.appendChild(warning);
+  button.classList.toggle('embed-failed', Boolean(embedFailures[site.id]));
+  
+  // Unread badge reported by the site's frame
+  const unread = document.createElement('span');
+  unread.className = 'unread-badge';
+  button.appendChild(unread);
+  updateUnreadBadge(site.id, button);
+  
+  // Keep active state across re-renders
+  if (isSiteOnScreen(site.id)) {
+    button.classList.add('active');
+  }
+  
   // Load favicon asynchronously
   loadFaviconForButton(button, site);
   
@@ -266,7 +674,7 @@ function createIconButton(site, index) {
   button.addEventListener('click', (e) => {
     // Prevent click during drag
     if (draggedItem) return;
-    loadSite(site, button);
+    loadSite(site);
   });
   
   // Right-click handler - show context menu
@@ -290,6 +698,12 @@ function createIconButton(site, index) {
  * Load favicon for a button (async)
  */
 async function loadFaviconForButton(button, site) {
+  // A custom icon replaces the favicon
+  if (site.customIcon) {
+    button.appendChild(createCustomIcon(site));
+    return;
+  }
+  
   // Show letter icon as placeholder first
   const letterIcon = createLetterIcon(site.name, site.color);
   button.appendChild(letterIcon);
@@ -315,13 +729,48 @@ async function loadFaviconForButton(button, site) {
   }
 }
 
+/**
+ * Check if a custom icon is an uploaded image (otherwise it's an emoji)
+ */
+function isImageIcon(icon) {
+  return typeof icon === 'string' && icon.startsWith('data:image/');
+}
+
+/**
+ * Create the element for a site's custom icon (image or emoji)
+ */
+function createCustomIcon(site) {
+  if (isImageIcon(site.customIcon)) {
+    const img = document.createElement('img');
+    img.src = site.customIcon;
+    img.alt = site.name;
+    return img;
+  }
+  
+  const span = document.createElement('span');
+  span.className = 'emoji-icon';
+  span.textContent = site.customIcon;
+  return span;
+}
+
+/**
+ * Keep only valid custom icons (image data URLs or a short emoji/text)
+ */
+function normalizeCustomIcon(icon) {
+  if (typeof icon !== 'string') return '';
+  if (isImageIcon(icon)) return icon.length <= CUSTOM_ICON_MAX_LENGTH ? icon : '';
+  
+  const text = icon.trim();
+  return [...text].length <= 8 ? text : '';
+}
+
 /**
  * Create letter icon for sites without favicon
  */
 function createLetterIcon(name, color) {
   const div = document.createElement('div');
   div.className = 'letter-icon';
-  div.style.background = color || '#4a9eff';
+  div.style.background = color || settings.defaultColor;
   div.textContent = name.charAt(0).toUpperCase();
   return div;
 }
@@ -333,474 +782,2968 @@ function createAddButton() {
   const button = document.createElement('button');
   button.className = 'add-btn';
   button.textContent = '+';
-  button.setAttribute('data-tooltip', 'إضافة موقع');
+  button.setAttribute('data-tooltip', msg('addSite'));
   button.addEventListener('click', openModal);
   return button;
 }
 
 /**
- * Load site in iframe
+ * Load site in a pane's iframe (the focused pane by default)
  */
-function loadSite(site, button) {
-  // Update active state
-  if (activeButton) {
-    activeButton.classList.remove('active');
+function loadSite(site, pane = focusedPane) {
+  // A site is shown in one pane at a time - focus the one that has it
+  const shownIn = getPaneForSite(site.id);
+  if (shownIn && shownIn !== pane) {
+    focusPane(shownIn);
+    return;
   }
-  button.classList.add('active');
-  activeButton = button;
   
   // Hide welcome
-  welcome.classList.add('hidden');
+  pane.welcome.classList.add('hidden');
+  
+  // Leave the pane's previous site (it may hibernate right away)
+  const previousSiteId = pane.siteId;
+  const previousEntry = framePool.get(previousSiteId);
+  if (previousEntry) {
+    previousEntry.lastUsed = Date.now();
+  }
+  
+  pane.siteId = site.id;
+  closeTemporaryPage();
+  
+  if (previousSiteId && previousSiteId !== site.id &&
+      getHibernateMode(getSiteById(previousSiteId)) === 'immediate') {
+    destroyFrame(previousSiteId);
+  }
+  
+  // Save last visited site (the second pane's is saved with the split layout)
+  if (pane.index === 0 && site.id !== TEMPORARY_SITE_ID) {
+    saveLastSite(site.id);
+  } else if (pane.index > 0) {
+    saveSplitLayout();
+  }
   
-  // Store current URL for refresh/open in tab
-  currentSiteUrl = site.url;
+  // Switching sites while hibernated wakes straight into the new site
+  if (pane.hibernated) {
+    pane.hibernated = false;
+    pane.hibernatedAt = null;
+    hideHibernateOverlay(pane);
+  }
   
-  // Save last visited site
-  saveLastSite(site.id);
+  // Reuse the site's frame if it's still alive, otherwise create one
+  getPooledFrame(site, pane);
+  showFrame(pane);
   
-  // Load the site
-  webFrame.src = site.url;
+  updatePaneHeader(pane);
+  updateActiveIcons();
+  focusPane(pane);
+  updateFrameStatus();
 }
 
+// ===================
+// PANES / SPLIT VIEW
+// ===================
+
 /**
- * Save last visited site ID to storage
+ * Create the panes from the template, with the divider between them
  */
-async function saveLastSite(siteId) {
-  try {
-    await browser.storage.local.set({ lastSiteId: siteId });
-  } catch (e) {
-    console.log('Could not save last site');
+function createPanes() {
+  for (let index = 0; index < PANE_COUNT; index++) {
+    const element = paneTemplate.content.firstElementChild.cloneNode(true);
+    element.dataset.pane = index;
+    
+    const pane = {
+      index,
+      element,
+      title: element.querySelector('.pane-title'),
+      wrapper: element.querySelector('.iframe-wrapper'),
+      loadingBar: element.querySelector('.loading-bar'),
+      fallback: element.querySelector('.embed-fallback'),
+      fallbackReason: element.querySelector('.embed-fallback-reason'),
+      welcome: element.querySelector('.welcome'),
+      overlay: null,
+      siteId: null,
+      hibernated: false,
+      hibernatedAt: null
+    };
+    
+    element.querySelector('.pane-refresh').addEventListener('click', () => refreshIframe(pane));
+    element.querySelector('.pane-open').addEventListener('click', () => openInNewTab(pane));
+    element.querySelector('.pane-close').addEventListener('click', () => setSplitView(false));
+    element.querySelector('.fallback-open').addEventListener('click', () => openInNewTab(pane));
+    element.querySelector('.fallback-retry').addEventListener('click', () => retryEmbed(pane));
+    element.querySelector('.fallback-log').addEventListener('click', () => {
+      const site = getSiteById(pane.siteId);
+      if (site) openHeaderLog(site);
+    });
+    element.addEventListener('pointerdown', () => focusPane(pane));
+    
+    if (index > 0) {
+      paneDivider = document.createElement('div');
+      paneDivider.className = 'pane-divider';
+      paneDivider.tabIndex = 0;
+      paneDivider.setAttribute('role', 'separator');
+      paneDivider.setAttribute('aria-orientation', 'horizontal');
+      paneDivider.title = msg('resizePanes');
+      panesContainer.appendChild(paneDivider);
+    }
+    
+    panesContainer.appendChild(element);
+    panes.push(pane);
   }
+  
+  focusedPane = panes[0];
 }
 
 /**
- * Load last visited site on startup
+ * Get the pane showing a site (null if it isn't on screen)
  */
-async function loadLastSite() {
-  try {
-    const result = await browser.storage.local.get('lastSiteId');
-    if (result.lastSiteId) {
-      const site = sites.find(s => s.id === result.lastSiteId);
-      if (site) {
-        // Find the button for this site
-        const button = document.querySelector(`[data-id="${site.id}"]`);
-        if (button) {
-          loadSite(site, button);
-        }
-      }
-    }
-  } catch (e) {
-    console.log('Could not load last site');
-  }
+function getPaneForSite(siteId) {
+  return panes.find(pane => pane.siteId === siteId) || null;
 }
 
 /**
- * Refresh current iframe
+ * Check whether a site is shown in one of the panes
  */
-function refreshIframe() {
-  if (currentSiteUrl) {
-    webFrame.src = currentSiteUrl;
-  }
+function isSiteOnScreen(siteId) {
+  return Boolean(siteId) && panes.some(pane => pane.siteId === siteId);
 }
 
 /**
- * Open current site in new tab
+ * Get the location shown in a pane (wherever its frame navigated to)
  */
-function openInNewTab() {
-  if (currentSiteUrl) {
-    browser.tabs.create({ url: currentSiteUrl });
-  }
+function getPaneUrl(pane) {
+  const entry = framePool.get(pane.siteId);
+  if (entry) return entry.currentUrl;
+  
+  const site = getSiteById(pane.siteId);
+  return site ? getStartUrl(site) : null;
 }
 
-// ===================
-// DRAG AND DROP
-// ===================
+/**
+ * Make a pane the target of the navigation bar, commands and icon clicks
+ */
+function focusPane(pane) {
+  focusedPane = pane;
+  panes.forEach(p => {
+    p.element.classList.toggle('focused', splitLayout.enabled && p === pane);
+  });
+  updateNavBar();
+}
 
 /**
- * Handle drag start
+ * Focus the pane whose frame was clicked (clicks inside a frame blur the sidebar)
  */
-function handleDragStart(e) {
-  // Get the button element (might be triggered from child)
-  const button = e.target.closest('.icon-btn');
-  if (!button) return;
-  
-  draggedItem = button;
-  draggedIndex = parseInt(button.dataset.index);
-  
-  // Set drag data
-  e.dataTransfer.effectAllowed = 'move';
-  e.dataTransfer.setData('text/plain', draggedIndex.toString());
-  
-  // Set drag image to the button
-  e.dataTransfer.setDragImage(button, button.offsetWidth / 2, button.offsetHeight / 2);
-  
-  // Add dragging class after a small delay (for visual feedback)
-  requestAnimationFrame(() => {
-    if (draggedItem) {
-      draggedItem.classList.add('dragging');
+function handleFrameFocus() {
+  setTimeout(() => {
+    const pane = panes.find(p => p.element.contains(document.activeElement));
+    if (pane && pane !== focusedPane) {
+      focusPane(pane);
     }
-  });
+  }, 0);
 }
 
 /**
- * Handle drag end
+ * Mark the icons of the sites on screen and the groups holding them
  */
-function handleDragEnd(e) {
-  if (draggedItem) {
-    draggedItem.classList.remove('dragging');
-  }
-  draggedItem = null;
-  draggedIndex = -1;
+function updateActiveIcons() {
+  document.querySelectorAll('.icon-btn[data-id]').forEach(button => {
+    button.classList.toggle('active', isSiteOnScreen(button.dataset.id));
+  });
   
-  // Remove all drag-over classes from all buttons
-  document.querySelectorAll('.icon-btn').forEach(btn => {
-    btn.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+  // Visible when the group is collapsed
+  document.querySelectorAll('.icon-group').forEach(group => {
+    group.classList.toggle('has-active', Boolean(group.querySelector('.icon-btn.active')));
   });
 }
 
 /**
- * Handle drag over
+ * Show the site name in a pane's header
  */
-function handleDragOver(e) {
-  e.preventDefault();
-  e.stopPropagation();
-  e.dataTransfer.dropEffect = 'move';
+function updatePaneHeader(pane) {
+  const site = getSiteById(pane.siteId);
+  pane.title.textContent = site ? site.name : msg('paneEmpty');
+  pane.title.title = site ? site.url : '';
+}
+
+/**
+ * Show the welcome message in a pane (its frame stays pooled)
+ */
+function clearPane(pane) {
+  pane.siteId = null;
+  pane.hibernated = false;
+  pane.hibernatedAt = null;
+  hideHibernateOverlay(pane);
+  closeTemporaryPage();
   
-  const target = e.target.closest('.icon-btn');
-  if (!target || !draggedItem || target === draggedItem) return;
+  showFrame(pane);
+  pane.welcome.classList.remove('hidden');
   
-  // Clear previous indicators from other buttons
-  document.querySelectorAll('.icon-btn').forEach(btn => {
-    if (btn !== target) {
-      btn.classList.remove('drag-over-top', 'drag-over-bottom');
-    }
-  });
+  updatePaneHeader(pane);
+  updateActiveIcons();
+  if (pane === focusedPane) {
+    updateNavBar();
+  }
+  updateFrameStatus();
+}
+
+/**
+ * Turn split view on or off
+ * The second pane reopens the site it showed last time
+ */
+function setSplitView(enabled) {
+  const second = panes[1];
+  splitLayout.enabled = enabled;
+  panesContainer.classList.toggle('split', enabled);
+  navSplit.classList.toggle('active', enabled);
   
-  // Determine if dropping above or below
-  const rect = target.getBoundingClientRect();
-  const midY = rect.top + rect.height / 2;
-  const isAbove = e.clientY < midY;
+  if (enabled) {
+    const site = getSiteById(splitLayout.siteId);
+    if (site && !isSiteOnScreen(site.id)) {
+      loadSite(site, second);
+    } else {
+      updatePaneHeader(second);
+      focusPane(second);
+    }
+  } else {
+    clearPane(second);
+    focusPane(panes[0]);
+  }
   
-  // Update visual indicator
-  target.classList.remove('drag-over-top', 'drag-over-bottom');
-  target.classList.add(isAbove ? 'drag-over-top' : 'drag-over-bottom');
+  saveSplitLayout();
 }
 
 /**
- * Handle drag enter
+ * Share the panel height between the panes
  */
-function handleDragEnter(e) {
+function applyPaneSizes() {
+  panes[0].element.style.flexGrow = splitLayout.ratio;
+  panes[1].element.style.flexGrow = 1 - splitLayout.ratio;
+}
+
+/**
+ * Set the share of the panel taken by the first pane
+ */
+function setSplitRatio(ratio) {
+  splitLayout.ratio = Math.min(SPLIT_MAX_RATIO, Math.max(SPLIT_MIN_RATIO, ratio));
+  applyPaneSizes();
+}
+
+/**
+ * Drag the divider between the panes
+ */
+function startDividerDrag(e) {
   e.preventDefault();
-  e.stopPropagation();
+  paneDivider.setPointerCapture(e.pointerId);
+  
+  // Frames would swallow the pointer events while dragging over them
+  panesContainer.classList.add('resizing');
+  const rect = panesContainer.getBoundingClientRect();
+  
+  const onMove = (moveEvent) => {
+    setSplitRatio((moveEvent.clientY - rect.top) / rect.height);
+  };
+  const onEnd = () => {
+    paneDivider.removeEventListener('pointermove', onMove);
+    paneDivider.removeEventListener('pointerup', onEnd);
+    paneDivider.removeEventListener('pointercancel', onEnd);
+    panesContainer.classList.remove('resizing');
+    saveSplitLayout();
+  };
+  
+  paneDivider.addEventListener('pointermove', onMove);
+  paneDivider.addEventListener('pointerup', onEnd);
+  paneDivider.addEventListener('pointercancel', onEnd);
 }
 
 /**
- * Handle drag leave
+ * Move the divider with the arrow keys
  */
-function handleDragLeave(e) {
-  const target = e.target.closest('.icon-btn');
-  if (!target) return;
+function handleDividerKeydown(e) {
+  if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
   
-  // Check if we're actually leaving the button (not just moving to a child)
-  const relatedTarget = e.relatedTarget;
-  if (relatedTarget && target.contains(relatedTarget)) {
-    return; // Still inside the button
+  e.preventDefault();
+  setSplitRatio(splitLayout.ratio + (e.key === 'ArrowUp' ? -SPLIT_KEY_STEP : SPLIT_KEY_STEP));
+  saveSplitLayout();
+}
+
+/**
+ * Save the split layout and the second pane's site
+ */
+async function saveSplitLayout() {
+  const siteId = panes[1].siteId;
+  if (splitLayout.enabled && siteId !== TEMPORARY_SITE_ID) {
+    splitLayout.siteId = siteId;
   }
   
-  target.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+  try {
+    await browser.storage.local.set({ splitLayout });
+  } catch (e) {
+    console.log('Could not save split layout');
+  }
 }
 
 /**
- * Handle drop
+ * Restore the split layout on startup
  */
-async function handleDrop(e) {
-  e.preventDefault();
-  e.stopPropagation();
+async function loadSplitLayout() {
+  try {
+    const result = await browser.storage.local.get('splitLayout');
+    if (result.splitLayout) {
+      splitLayout = { ...splitLayout, ...result.splitLayout };
+    }
+  } catch (e) {
+    console.log('Could not load split layout');
+  }
   
-  const target = e.target.closest('.icon-btn');
-  if (!target || !draggedItem || target === draggedItem) return;
+  setSplitRatio(splitLayout.ratio);
+  if (splitLayout.enabled) {
+    setSplitView(true);
+    focusPane(panes[0]);
+  }
+}
+
+// ===================
+// IFRAME POOL
+// ===================
+
+/**
+ * Get the pooled frame for a site in a pane, creating it if needed
+ */
+function getPooledFrame(site, pane) {
+  let entry = framePool.get(site.id);
   
-  const targetIndex = parseInt(target.dataset.index);
+  // Site URL changed since the frame was created, or the other pane is still
+  // showing it - start fresh
+  if (entry && (entry.url !== site.url ||
+      (entry.pane !== pane && entry.pane.siteId === site.id))) {
+    destroyFrame(site.id);
+    entry = null;
+  }
   
-  // Determine if dropping above or below
-  const rect = target.getBoundingClientRect();
-  const midY = rect.top + rect.height / 2;
-  const isAbove = e.clientY < midY;
+  // Kept in the other pane's wrapper but not shown there - move it over
+  if (entry && entry.pane !== pane) {
+    moveFrame(site.id, pane);
+  }
   
-  // Calculate new index
-  let newIndex = isAbove ? targetIndex : targetIndex + 1;
-  if (draggedIndex < targetIndex) {
-    newIndex--;
+  if (!entry) {
+    // Reopen where the user left off
+    const startUrl = getStartUrl(site);
+    
+    const frame = document.createElement('iframe');
+    frame.className = 'site-frame';
+    frame.setAttribute('data-site-id', site.id);
+    frame.addEventListener('load', () => handleFrameLoad(site.id));
+    frame.src = startUrl;
+    pane.wrapper.appendChild(frame);
+    
+    entry = {
+      frame,
+      pane,
+      url: site.url,
+      currentUrl: startUrl,
+      lastUsed: 0,
+      status: 'loading',
+      failReason: null,
+      lastReport: 0,
+      checkTimer: null,
+      history: [],
+      historyIndex: -1,
+      pendingHistoryIndex: null
+    };
+    framePool.set(site.id, entry);
+    applyFrameView(site.id);
   }
   
-  // Ensure newIndex is valid
-  newIndex = Math.max(0, Math.min(newIndex, sites.length - 1));
+  entry.lastUsed = Date.now();
+  evictFrames();
   
-  // Reorder the sites array
-  if (draggedIndex !== newIndex && draggedIndex >= 0 && draggedIndex < sites.length) {
-    const [movedSite] = sites.splice(draggedIndex, 1);
-    sites.splice(newIndex, 0, movedSite);
+  return entry.frame;
+}
+
+/**
+ * Move a pooled frame into another pane's wrapper
+ */
+function moveFrame(siteId, pane) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  entry.pane = pane;
+  if (typeof pane.wrapper.moveBefore === 'function') {
+    // Keeps the page, its scroll position and any form input alive
+    pane.wrapper.moveBefore(entry.frame, null);
+  } else {
+    // Reparenting reloads the frame - bring it back to where the user was
+    pane.wrapper.appendChild(entry.frame);
+    startFrameLoad(siteId, entry.currentUrl);
+  }
+  applyFrameView(siteId);
+}
+
+/**
+ * Show the frame of a pane's site and hide the pane's other frames
+ */
+function showFrame(pane) {
+  framePool.forEach((entry, id) => {
+    if (entry.pane === pane) {
+      entry.frame.classList.toggle('active', id === pane.siteId);
+    }
+  });
+}
+
+/**
+ * Evict least recently used frames until the pool fits its cap
+ */
+function evictFrames() {
+  while (framePool.size > settings.framePoolSize) {
+    let oldestId = null;
+    let oldestTime = Infinity;
+    let oldestPinned = true;
     
-    // Save and re-render
-    await saveSites();
-    renderIcons();
+    // Pinned sites (never hibernate) are evicted only if nothing else is left
+    framePool.forEach((entry, id) => {
+      if (isSiteOnScreen(id)) return;
+      
+      const pinned = getHibernateMode(getSiteById(id)) === 'never';
+      if ((oldestPinned && !pinned) || (pinned === oldestPinned && entry.lastUsed < oldestTime)) {
+        oldestId = id;
+        oldestTime = entry.lastUsed;
+        oldestPinned = pinned;
+      }
+    });
     
-    // Restore active state if needed
-    if (activeButton) {
-      const activeId = activeButton.dataset.id;
-      const newActiveBtn = document.querySelector(`[data-id="${activeId}"]`);
-      if (newActiveBtn) {
-        newActiveBtn.classList.add('active');
-        activeButton = newActiveBtn;
+    if (!oldestId) break;
+    destroyFrame(oldestId);
+  }
+}
+
+/**
+ * Remove a site's frame from the pool and free its memory
+ */
+function destroyFrame(siteId) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  clearTimeout(entry.checkTimer);
+  entry.frame.src = 'about:blank';
+  entry.frame.remove();
+  framePool.delete(siteId);
+  
+  // The unread count can't change until the frame is back
+  updateUnreadBadge(siteId);
+  
+  // Its back/forward history went with it
+  if (focusedPane && siteId === focusedPane.siteId) {
+    updateNavBar();
+  }
+}
+
+// ===================
+// IN-PANEL NAVIGATION
+// ===================
+
+/**
+ * Get the URL a site's frame should open with (last location, or home)
+ */
+function getStartUrl(site) {
+  const lastUrl = lastUrls[site.id];
+  
+  // Only resume pages on the same site
+  try {
+    if (lastUrl && new URL(lastUrl).hostname === new URL(site.url).hostname) {
+      return lastUrl;
+    }
+  } catch (e) {
+    // Fall back to the home URL
+  }
+  return site.url;
+}
+
+/**
+ * Load the last location of each site
+ */
+async function loadLastUrls() {
+  try {
+    const result = await browser.storage.local.get('lastUrls');
+    lastUrls = result.lastUrls || {};
+  } catch (e) {
+    console.log('Could not load last URLs');
+  }
+}
+
+/**
+ * Remember a site's location (saved with a short delay to batch navigations)
+ */
+function setLastUrl(siteId, url) {
+  if (siteId === TEMPORARY_SITE_ID || lastUrls[siteId] === url) return;
+  
+  lastUrls[siteId] = url;
+  clearTimeout(lastUrlsSaveTimer);
+  lastUrlsSaveTimer = setTimeout(saveLastUrls, LAST_URL_SAVE_DELAY);
+}
+
+/**
+ * Forget a site's location (e.g. when its URL is edited or it's deleted)
+ */
+function clearLastUrl(siteId) {
+  if (!(siteId in lastUrls)) return;
+  
+  delete lastUrls[siteId];
+  saveLastUrls();
+}
+
+/**
+ * Save last locations to storage
+ */
+async function saveLastUrls() {
+  try {
+    await browser.storage.local.set({ lastUrls });
+  } catch (e) {
+    console.log('Could not save last URLs');
+  }
+}
+
+/**
+ * Find the pooled frame a runtime message was sent from
+ */
+function getSiteIdForSender(sender) {
+  // Sidebar frames don't belong to a tab
+  if (!sender || sender.tab) return null;
+  
+  for (const [siteId, entry] of framePool) {
+    try {
+      if (browser.runtime.getFrameId(entry.frame) === sender.frameId) {
+        return siteId;
       }
+    } catch (e) {
+      // Frame not ready yet
     }
   }
+  return null;
+}
+
+/**
+ * Handle a location report from a site's frame
+ */
+function handleFrameLocation(siteId, url) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
   
-  // Cleanup all buttons
-  document.querySelectorAll('.icon-btn').forEach(btn => {
-    btn.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
-  });
+  entry.currentUrl = url;
+  setLastUrl(siteId, url);
+  addFrameHistory(entry, url);
+  
+  if (siteId === focusedPane.siteId) {
+    updateNavBar();
+  }
+}
+
+/**
+ * Record a frame's new location in its back/forward history
+ */
+function addFrameHistory(entry, url) {
+  // Arrived from the back/forward buttons - a redirect takes the entry's place
+  if (entry.pendingHistoryIndex !== null) {
+    entry.historyIndex = entry.pendingHistoryIndex;
+    entry.history[entry.historyIndex] = url;
+    entry.pendingHistoryIndex = null;
+    return;
+  }
+  
+  if (entry.history[entry.historyIndex] === url) return;
+  
+  // Going somewhere new drops the forward history
+  entry.history = entry.history.slice(0, entry.historyIndex + 1);
+  entry.history.push(url);
+  if (entry.history.length > FRAME_HISTORY_LIMIT) entry.history.shift();
+  entry.historyIndex = entry.history.length - 1;
+}
+
+/**
+ * Show the focused pane's location in the navigation bar
+ */
+function updateNavBar() {
+  const url = getPaneUrl(focusedPane) || '';
+  navAddress.value = url;
+  navAddress.title = url;
+  
+  const entry = framePool.get(focusedPane.siteId);
+  navBack.disabled = !entry || entry.historyIndex <= 0;
+  navForward.disabled = !entry || entry.historyIndex >= entry.history.length - 1;
+  
+  updateViewControls();
+}
+
+/**
+ * Move the focused pane's frame back or forward in its own history
+ * (history.back() in a frame would walk the whole sidebar's session history)
+ */
+function navigateFrame(direction) {
+  const siteId = focusedPane.siteId;
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  const index = entry.historyIndex + (direction === 'back' ? -1 : 1);
+  if (index < 0 || index >= entry.history.length) return;
+  
+  startFrameLoad(siteId, entry.history[index]);
+  entry.pendingHistoryIndex = index;
+}
+
+/**
+ * Send the focused pane's frame back to the site's home URL
+ */
+function goHome() {
+  const site = getSiteById(focusedPane.siteId);
+  const entry = framePool.get(focusedPane.siteId);
+  if (!site || !entry) return;
+  
+  startFrameLoad(site.id, site.url);
+  handleFrameLocation(site.id, site.url);
 }
 
 // ===================
-// AUTO-HIBERNATE
+// ZOOM & VIEWPORT
 // ===================
 
 /**
- * Reset activity timer (called on user interaction)
+ * Get a site's viewport mode
  */
-function resetActivityTimer() {
-  lastActivityTime = Date.now();
+function getViewportMode(site) {
+  return site && VIEWPORT_MODES.includes(site.viewport) ? site.viewport : 'fill';
+}
+
+/**
+ * Get the width a site is laid out at (null to fill the panel)
+ */
+function getViewportWidth(site) {
+  const mode = getViewportMode(site);
+  if (mode === 'custom') {
+    const width = Number(site.viewportWidth);
+    return width >= VIEWPORT_MIN_WIDTH && width <= VIEWPORT_MAX_WIDTH ? width : null;
+  }
+  return VIEWPORT_PRESETS[mode] || null;
+}
+
+/**
+ * Get a site's zoom level (a percentage, or ZOOM_FIT)
+ */
+function getZoom(site) {
+  if (site && (site.zoom === ZOOM_FIT || ZOOM_LEVELS.includes(site.zoom))) return site.zoom;
+  return 100;
+}
+
+/**
+ * Size and scale a site's frame for its viewport and zoom
+ */
+function applyFrameView(siteId) {
+  const entry = framePool.get(siteId);
+  const site = getSiteById(siteId);
+  if (!entry || !site) return;
   
-  // If hibernated, wake up
-  if (isHibernated) {
-    wakeFromHibernate();
+  const panelWidth = entry.pane.wrapper.clientWidth;
+  const panelHeight = entry.pane.wrapper.clientHeight;
+  const viewportWidth = getViewportWidth(site);
+  const zoom = getZoom(site);
+  
+  let scale = zoom === ZOOM_FIT ? 1 : zoom / 100;
+  if (zoom === ZOOM_FIT && viewportWidth && panelWidth > 0) {
+    scale = panelWidth / viewportWidth;
   }
   
-  // Clear existing timer
-  if (hibernateTimer) {
-    clearTimeout(hibernateTimer);
+  const style = entry.frame.style;
+  if (!viewportWidth && scale === 1) {
+    // Plain panel-sized frame (see .iframe-wrapper iframe)
+    style.width = style.height = style.transform = style.left = '';
+    return;
   }
   
-  // Set new timer
-  hibernateTimer = setTimeout(checkHibernate, HIBERNATE_TIMEOUT);
+  const width = viewportWidth || panelWidth / scale;
+  style.width = width + 'px';
+  style.height = panelHeight / scale + 'px';
+  style.transform = `scale(${scale})`;
+  
+  // Narrow viewports are centered in the panel
+  style.left = Math.max(0, (panelWidth - width * scale) / 2) + 'px';
+}
+
+/**
+ * Resize every pooled frame (e.g. when the sidebar or a pane is resized)
+ */
+function applyAllFrameViews() {
+  framePool.forEach((entry, siteId) => applyFrameView(siteId));
+}
+
+/**
+ * Show the focused pane's zoom and viewport in the navigation bar
+ */
+function updateViewControls() {
+  const site = getSiteById(focusedPane.siteId);
+  const zoom = getZoom(site);
+  
+  navZoom.disabled = navViewport.disabled = !site;
+  navZoom.textContent = zoom === ZOOM_FIT ? msg('zoomFitShort') : zoom + '%';
+  navZoom.title = msg('zoomLabel');
+  navViewport.title = msg('navViewport', getViewportLabel(site));
+  navViewport.classList.toggle('active', getViewportMode(site) !== 'fill');
+}
+
+/**
+ * Get the name of a site's viewport for menus and tooltips
+ */
+function getViewportLabel(site) {
+  const mode = getViewportMode(site);
+  if (mode === 'custom' && getViewportWidth(site)) {
+    return msg('viewportCustomWidth', getViewportWidth(site));
+  }
+  return msg('viewport' + mode.charAt(0).toUpperCase() + mode.slice(1));
+}
+
+/**
+ * Change the viewport or zoom of a site and show it right away
+ */
+async function setSiteView(siteId, changes) {
+  if (temporarySite && temporarySite.id === siteId) {
+    // Links opened from the page aren't saved
+    Object.assign(temporarySite, changes);
+  } else {
+    const index = sites.findIndex(s => s.id === siteId);
+    if (index === -1) return;
+    sites[index] = { ...sites[index], ...changes };
+    await saveSites();
+  }
+  
+  applyFrameView(siteId);
+  updateViewControls();
+}
+
+/**
+ * Show the zoom levels for the focused pane's site
+ */
+function showZoomMenu(e) {
+  const site = getSiteById(focusedPane.siteId);
+  if (!site) return;
+  
+  const current = getZoom(site);
+  const levels = [ZOOM_FIT, ...ZOOM_LEVELS];
+  
+  showActionMenu(e, levels.map(zoom => ({
+    id: 'zoom-' + zoom,
+    icon: zoom === current ? '✓' : '',
+    label: zoom === ZOOM_FIT ? msg('zoomFit') : zoom + '%',
+    run: () => setSiteView(site.id, { zoom: zoom })
+  })));
+}
+
+/**
+ * Show the viewport presets for the focused pane's site
+ */
+function showViewportMenu(e) {
+  const site = getSiteById(focusedPane.siteId);
+  if (!site) return;
+  
+  const current = getViewportMode(site);
+  
+  showActionMenu(e, VIEWPORT_MODES.map(mode => ({
+    id: 'viewport-' + mode,
+    icon: mode === current ? '✓' : '',
+    label: mode === 'custom' ? msg('viewportCustomMenu') : getViewportLabel({ viewport: mode }),
+    run: () => {
+      if (mode !== 'custom') {
+        setSiteView(site.id, { viewport: mode });
+        return;
+      }
+      
+      const input = prompt(msg('viewportCustomPrompt'), getViewportWidth(site) || 1024);
+      const width = parseInt(input);
+      if (width >= VIEWPORT_MIN_WIDTH && width <= VIEWPORT_MAX_WIDTH) {
+        setSiteView(site.id, { viewport: 'custom', viewportWidth: width });
+      }
+    }
+  })));
+}
+
+/**
+ * Show the custom width field only for a custom viewport
+ */
+function updateViewportField() {
+  siteViewportWidth.classList.toggle('hidden', siteViewport.value !== 'custom');
+}
+
+// ===================
+// LOADING & EMBED CHECK
+// ===================
+
+// Why a frame couldn't be embedded
+const EMBED_FAILURE_REASONS = {
+  blocked: msg('embedBlocked'),
+  blank: msg('embedBlank')
+};
+
+/**
+ * Navigate a pooled frame and show it as loading
+ */
+function startFrameLoad(siteId, url) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  clearTimeout(entry.checkTimer);
+  entry.status = 'loading';
+  entry.failReason = null;
+  entry.pendingHistoryIndex = null;
+  entry.frame.src = url;
+  updateFrameStatus();
+}
+
+/**
+ * Handle a frame's load event - the page must report in, or it counts as blocked
+ */
+function handleFrameLoad(siteId) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  const loadTime = Date.now();
+  if (entry.status === 'loading') {
+    entry.status = 'loaded';
+  }
+  
+  // Error pages and blocked frames never run frame-content.js
+  clearTimeout(entry.checkTimer);
+  entry.checkTimer = setTimeout(() => {
+    if (entry.lastReport < loadTime - EMBED_REPORT_GRACE) {
+      markEmbedFailed(siteId, 'blocked');
+    }
+  }, EMBED_CHECK_TIMEOUT);
+  
+  updateFrameStatus();
+}
+
+/**
+ * Handle a load state report from frame-content.js
+ */
+function handleFrameStatus(siteId, status) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  if (status === 'blank') {
+    markEmbedFailed(siteId, 'blank');
+    return;
+  }
+  
+  // The page is alive inside the frame
+  entry.lastReport = Date.now();
+  if (entry.status === 'failed' || entry.status === 'loading') {
+    entry.status = 'loaded';
+    entry.failReason = null;
+  }
+  setEmbedFailure(siteId, false);
+  updateFrameStatus();
+}
+
+/**
+ * Mark a site's frame as failed to embed
+ */
+function markEmbedFailed(siteId, reason) {
+  const entry = framePool.get(siteId);
+  if (!entry) return;
+  
+  entry.status = 'failed';
+  entry.failReason = reason;
+  setEmbedFailure(siteId, true);
+  updateFrameStatus();
+}
+
+/**
+ * Remember (or forget) that a site failed to embed and update its icon
+ */
+function setEmbedFailure(siteId, failed) {
+  if (siteId === TEMPORARY_SITE_ID || Boolean(embedFailures[siteId]) === failed) return;
+  
+  if (failed) {
+    embedFailures[siteId] = Date.now();
+  } else {
+    delete embedFailures[siteId];
+  }
+  saveEmbedFailures();
+  
+  const button = document.querySelector(`.icon-btn[data-id="${siteId}"]`);
+  if (button) {
+    button.classList.toggle('embed-failed', failed);
+  }
+}
+
+/**
+ * Load remembered embed failures
+ */
+async function loadEmbedFailures() {
+  try {
+    const result = await browser.storage.local.get('embedFailures');
+    embedFailures = result.embedFailures || {};
+  } catch (e) {
+    console.log('Could not load embed failures');
+  }
+}
+
+/**
+ * Save remembered embed failures
+ */
+async function saveEmbedFailures() {
+  try {
+    await browser.storage.local.set({ embedFailures });
+  } catch (e) {
+    console.log('Could not save embed failures');
+  }
+}
+
+/**
+ * Show the loading bar or fallback card of each pane's frame
+ */
+function updateFrameStatus() {
+  panes.forEach(pane => {
+    const entry = framePool.get(pane.siteId);
+    const status = entry && entry.pane === pane && !pane.hibernated ? entry.status : null;
+    
+    pane.loadingBar.classList.toggle('show', status === 'loading');
+    pane.fallback.classList.toggle('show', status === 'failed');
+    
+    if (status === 'failed') {
+      pane.fallbackReason.textContent = EMBED_FAILURE_REASONS[entry.failReason] || '';
+    }
+  });
+}
+
+/**
+ * Retry embedding a pane's site
+ */
+function retryEmbed(pane = focusedPane) {
+  const entry = framePool.get(pane.siteId);
+  if (entry) {
+    startFrameLoad(pane.siteId, entry.currentUrl);
+  }
+}
+
+/**
+ * Save last visited site ID to storage
+ */
+async function saveLastSite(siteId) {
+  try {
+    await browser.storage.local.set({ lastSiteId: siteId });
+  } catch (e) {
+    console.log('Could not save last site');
+  }
+}
+
+/**
+ * Load last visited site on startup
+ */
+async function loadLastSite() {
+  try {
+    const result = await browser.storage.local.get('lastSiteId');
+    if (result.lastSiteId) {
+      const site = sites.find(s => s.id === result.lastSiteId);
+      if (site) {
+        loadSite(site, panes[0]);
+      }
+    }
+  } catch (e) {
+    console.log('Could not load last site');
+  }
+}
+
+/**
+ * Refresh a pane's iframe (the focused pane by default)
+ */
+function refreshIframe(pane = focusedPane) {
+  const entry = framePool.get(pane.siteId);
+  if (entry) {
+    startFrameLoad(pane.siteId, entry.currentUrl);
+  }
+}
+
+/**
+ * Open a pane's site in a new tab (where its frame navigated to)
+ */
+function openInNewTab(pane = focusedPane) {
+  const url = getPaneUrl(pane);
+  if (url) {
+    browser.tabs.create({ url: url });
+  }
+}
+
+// ===================
+// UNREAD BADGES
+// ===================
+
+/**
+ * Handle an unread report from a site's frame (count is null when nothing is unread)
+ */
+function handleFrameUnread(siteId, count) {
+  if (siteId === TEMPORARY_SITE_ID) return;
+  
+  if (Number.isInteger(count) && count >= 0) {
+    unreadCounts.set(siteId, count);
+  } else {
+    unreadCounts.delete(siteId);
+  }
+  updateUnreadBadge(siteId);
+}
+
+/**
+ * Show a site's unread count on its icon
+ * The badge is dimmed while the site's frame is unloaded (hibernated or evicted)
+ */
+function updateUnreadBadge(siteId, button = document.querySelector(`.icon-btn[data-id="${siteId}"]`)) {
+  if (!button) return;
+  
+  const count = unreadCounts.get(siteId);
+  const hasUnread = count !== undefined;
+  button.classList.toggle('has-unread', hasUnread);
+  button.classList.toggle('unread-paused', hasUnread && !framePool.has(siteId));
+  
+  const badge = button.querySelector('.unread-badge');
+  if (!hasUnread || count === 0) {
+    badge.textContent = '';
+  } else {
+    badge.textContent = count > UNREAD_MAX_SHOWN ? `${UNREAD_MAX_SHOWN}+` : String(count);
+  }
+}
+
+// ===================
+// KEYBOARD COMMANDS
+// ===================
+
+/**
+ * Get sites in the order they appear in the icon bar
+ */
+function getOrderedSites() {
+  const ungrouped = sites.filter(site => !groups.some(g => g.id === site.groupId));
+  const grouped = groups.flatMap(group => sites.filter(site => site.groupId === group.id));
+  return [...ungrouped, ...grouped];
+}
+
+/**
+ * Load a site through its icon button
+ */
+function switchToSite(site) {
+  if (sites.some(s => s.id === site.id)) {
+    loadSite(site);
+  }
+}
+
+/**
+ * Run a keyboard command (declared in manifest.json)
+ */
+function handleCommand(command) {
+  const orderedSites = getOrderedSites();
+  
+  // switch-site-1 ... switch-site-9
+  const siteMatch = command.match(/^switch-site-(\d)$/);
+  if (siteMatch) {
+    const site = orderedSites[parseInt(siteMatch[1]) - 1];
+    if (site) switchToSite(site);
+    return;
+  }
+  
+  switch (command) {
+    case 'next-site':
+    case 'previous-site': {
+      if (orderedSites.length === 0) return;
+      const step = command === 'next-site' ? 1 : -1;
+      const currentIndex = orderedSites.findIndex(s => s.id === focusedPane.siteId);
+      const start = currentIndex === -1 && step === -1 ? 0 : currentIndex;
+      const nextIndex = (start + step + orderedSites.length) % orderedSites.length;
+      switchToSite(orderedSites[nextIndex]);
+      break;
+    }
+    case 'refresh-site':
+      refreshIframe();
+      break;
+    case 'open-site-in-tab':
+      openInNewTab();
+      break;
+  }
+}
+
+// ===================
+// COMMAND PALETTE
+// ===================
+
+// Max results shown in the palette
+const PALETTE_MAX_RESULTS = 12;
+
+let paletteItems = [];
+let paletteIndex = 0;
+
+/**
+ * Actions available in the palette (same as the icon bar buttons)
+ */
+function getPaletteActions() {
+  return [
+    { icon: '+', label: msg('addSite'), run: openModal },
+    { icon: '📁', label: msg('newGroup'), run: () => openGroupModal() },
+    { icon: '↻', label: msg('refresh'), run: () => refreshIframe() },
+    { icon: '↗', label: msg('openInNewTab'), run: () => openInNewTab() },
+    { icon: '◫', label: msg('splitView'), run: () => setSplitView(!splitLayout.enabled) },
+    { icon: '📤', label: msg('exportJson'), run: exportSites },
+    { icon: '🔖', label: msg('exportHtml'), run: exportSitesAsHtml },
+    { icon: '📥', label: msg('importFromFile'), run: importSitesFromFile },
+    { icon: '🔖', label: msg('importFromBookmarks'), run: importFromBookmarks },
+    { icon: '⚙️', label: msg('settings'), run: openSettings }
+  ];
+}
+
+/**
+ * Score how well a query fuzzy-matches a text (-1 = no match)
+ * Characters must appear in order; consecutive and word-start hits score higher
+ */
+function fuzzyScore(query, text) {
+  const q = query.toLowerCase();
+  const t = text.toLowerCase();
+  
+  let score = 0;
+  let streak = 0;
+  let position = 0;
+  
+  for (const char of q) {
+    const index = t.indexOf(char, position);
+    if (index === -1) return -1;
+    
+    streak = index === position ? streak + 1 : 0;
+    score += 1 + streak * 2;
+    
+    // Bonus for matching at the start of a word
+    if (index === 0 || /[\s./:_-]/.test(t[index - 1])) {
+      score += 3;
+    }
+    
+    position = index + 1;
+  }
+  
+  // Prefer shorter texts for equal matches
+  return score - t.length * 0.01;
+}
+
+/**
+ * Build the palette result list for a query
+ */
+function getPaletteItems(query) {
+  const siteItems = getOrderedSites().map(site => ({
+    site: site,
+    label: site.name,
+    detail: site.url,
+    run: () => switchToSite(site)
+  }));
+  const actionItems = getPaletteActions();
+  
+  if (!query) {
+    return [...siteItems, ...actionItems].slice(0, PALETTE_MAX_RESULTS);
+  }
+  
+  return [...siteItems, ...actionItems]
+    .map(item => {
+      const labelScore = fuzzyScore(query, item.label);
+      const detailScore = item.detail ? fuzzyScore(query, item.detail) * 0.8 : -1;
+      return { item, score: Math.max(labelScore, detailScore) };
+    })
+    .filter(result => result.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, PALETTE_MAX_RESULTS)
+    .map(result => result.item);
+}
+
+/**
+ * Open the command palette
+ */
+function openPalette() {
+  hideContextMenu();
+  paletteInput.value = '';
+  paletteOverlay.classList.add('show');
+  renderPalette();
+  paletteInput.focus();
+}
+
+/**
+ * Close the command palette
+ */
+function closePalette() {
+  paletteOverlay.classList.remove('show');
+}
+
+/**
+ * Render palette results for the current query
+ */
+function renderPalette() {
+  paletteItems = getPaletteItems(paletteInput.value.trim());
+  paletteIndex = 0;
+  
+  while (paletteResults.firstChild) {
+    paletteResults.removeChild(paletteResults.firstChild);
+  }
+  
+  if (paletteItems.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'palette-empty';
+    empty.textContent = msg('paletteNoResults');
+    paletteResults.appendChild(empty);
+    return;
+  }
+  
+  paletteItems.forEach((item, index) => {
+    const row = document.createElement('div');
+    row.className = 'palette-item';
+    
+    const icon = document.createElement('span');
+    icon.className = 'palette-icon';
+    if (item.site) {
+      loadFaviconForButton(icon, item.site);
+    } else {
+      icon.textContent = item.icon;
+    }
+    
+    const text = document.createElement('div');
+    text.className = 'palette-text';
+    const label = document.createElement('div');
+    label.className = 'palette-label';
+    label.textContent = item.label;
+    text.appendChild(label);
+    
+    if (item.detail) {
+      const detail = document.createElement('div');
+      detail.className = 'palette-detail';
+      detail.textContent = item.detail;
+      text.appendChild(detail);
+    }
+    
+    row.appendChild(icon);
+    row.appendChild(text);
+    
+    row.addEventListener('mousemove', () => selectPaletteItem(index));
+    row.addEventListener('click', () => runPaletteItem(index));
+    
+    paletteResults.appendChild(row);
+  });
+  
+  selectPaletteItem(0);
+}
+
+/**
+ * Highlight a palette result
+ */
+function selectPaletteItem(index) {
+  const rows = paletteResults.querySelectorAll('.palette-item');
+  if (rows.length === 0) return;
+  
+  paletteIndex = (index + rows.length) % rows.length;
+  rows.forEach((row, i) => row.classList.toggle('selected', i === paletteIndex));
+  rows[paletteIndex].scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Run a palette result and close the palette
+ */
+function runPaletteItem(index) {
+  const item = paletteItems[index];
+  if (!item) return;
+  
+  closePalette();
+  item.run();
+}
+
+/**
+ * Keyboard navigation inside the palette
+ */
+function handlePaletteKeydown(e) {
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      selectPaletteItem(paletteIndex + 1);
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      selectPaletteItem(paletteIndex - 1);
+      break;
+    case 'Enter':
+      e.preventDefault();
+      runPaletteItem(paletteIndex);
+      break;
+    case 'Escape':
+      e.preventDefault();
+      closePalette();
+      break;
+  }
+}
+
+/**
+ * Global shortcut: Ctrl+K (Cmd+K on macOS) toggles the palette
+ */
+function handlePaletteShortcut(e) {
+  if ((e.ctrlKey || e.metaKey) && !e.shiftKey && !e.altKey && e.key.toLowerCase() === 'k') {
+    e.preventDefault();
+    if (paletteOverlay.classList.contains('show')) {
+      closePalette();
+    } else {
+      openPalette();
+    }
+  }
+}
+
+// ===================
+// BACKGROUND MESSAGING
+// ===================
+
+/**
+ * Get a site by ID (including the temporary page)
+ */
+function getSiteById(siteId) {
+  if (temporarySite && temporarySite.id === siteId) return temporarySite;
+  return sites.find(s => s.id === siteId) || null;
+}
+
+/**
+ * Add a page sent from the browser context menu as a new site
+ */
+async function addSiteFromPage(name, url) {
+  // Already in the list - just show it
+  let site = sites.find(s => s.url === url);
+  
+  if (!site) {
+    site = {
+      id: generateId(),
+      name: name || new URL(url).hostname,
+      url: url,
+      color: settings.defaultColor,
+      userAgentMode: 'default',
+      customUserAgent: '',
+      hibernateMode: 'default',
+      hibernateMinutes: 15,
+      customIcon: '',
+      viewport: 'fill',
+      viewportWidth: null,
+      zoom: 100,
+      userCss: '',
+      userScript: '',
+      groupId: null
+    };
+    recordUndo(msg('actionAddSite', site.name));
+    sites.push(site);
+    await saveSites();
+    renderIcons();
+  }
+  
+  switchToSite(site);
+}
+
+/**
+ * Load a link in the panel without saving it as a site
+ */
+function openTemporaryUrl(url) {
+  // Only one temporary page at a time
+  destroyFrame(TEMPORARY_SITE_ID);
+  temporarySite = { id: TEMPORARY_SITE_ID, name: new URL(url).hostname, url: url };
+  loadSite(temporarySite, getPaneForSite(TEMPORARY_SITE_ID) || focusedPane);
+}
+
+/**
+ * Get the hostname of a URL without "www." (null if it isn't a URL)
+ */
+function getHostKey(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Drop the temporary page once it's no longer shown in a pane
+ * The background script then stops stripping headers for its host
+ */
+function closeTemporaryPage() {
+  if (!temporarySite || isSiteOnScreen(TEMPORARY_SITE_ID)) return;
+  
+  destroyFrame(TEMPORARY_SITE_ID);
+  temporarySite = null;
+  browser.runtime.sendMessage({ type: 'closeTemporaryPage', windowId: currentWindowId }).catch(() => {});
+}
+
+/**
+ * Get the custom CSS and script to inject into a site's frame (null if it has none)
+ * Only pages on the site's own host get them, not logins or other sites the frame navigated to
+ */
+async function getUserCode(siteId, frameId, pageUrl) {
+  const site = sites.find(s => s.id === siteId);
+  if (!site || (!site.userCss && !site.userScript)) return null;
+  
+  const host = getHostKey(pageUrl);
+  if (!host || host !== getHostKey(site.url)) return null;
+  
+  // The nonce background.js added to this frame's CSP, so the code runs even
+  // where inline code is blocked
+  let nonce = null;
+  try {
+    nonce = await browser.runtime.sendMessage({ type: 'takeUserCodeNonce', frameId, url: pageUrl });
+  } catch (e) {
+    console.log('Could not get user code nonce', e);
+  }
+  if (!nonce) return null;
+  
+  return { css: site.userCss || '', script: site.userScript || '', nonce };
+}
+
+/**
+ * Run a message from the background script
+ */
+function handleBackgroundMessage(message) {
+  switch (message.type) {
+    case 'command':
+      handleCommand(message.command);
+      break;
+    case 'addSite':
+      addSiteFromPage(message.name, message.url);
+      break;
+    case 'openUrl':
+      openTemporaryUrl(message.url);
+      break;
+  }
+}
+
+/**
+ * Handle messages from the background script and site frames
+ */
+function handleRuntimeMessage(message, sender) {
+  if (!message) return;
+  
+  // Reports from frame-content.js in our own frames
+  if (['frameHello', 'frameLocation', 'frameStatus', 'frameUnread'].includes(message.type)) {
+    const siteId = getSiteIdForSender(sender);
+    if (!siteId) return; // Frame of another window or a regular tab
+    
+    if (message.type === 'frameStatus') {
+      handleFrameStatus(siteId, message.status);
+    } else if (message.type === 'frameUnread') {
+      handleFrameUnread(siteId, message.count);
+    } else {
+      handleFrameLocation(siteId, message.url);
+    }
+    
+    // A page that just loaded gets the site's custom CSS and script
+    if (message.type === 'frameHello') {
+      return getUserCode(siteId, sender.frameId, sender.url || message.url)
+        .then(userCode => ({ siteId, userCode }));
+    }
+    return Promise.resolve({ siteId, userCode: null });
+  }
+  
+  if (message.windowId === currentWindowId &&
+      ['command', 'addSite', 'openUrl'].includes(message.type)) {
+    handleBackgroundMessage(message);
+    return Promise.resolve(true); // Tell background the message was handled
+  }
+}
+
+/**
+ * Listen for frames and the background script (before any frame is created,
+ * since a frame that gets no answer to its hello stops reporting)
+ */
+async function setupMessaging() {
+  browser.runtime.onMessage.addListener(handleRuntimeMessage);
+  
+  try {
+    const win = await browser.windows.getCurrent();
+    currentWindowId = win.id;
+    
+    // Lets the background script know when this sidebar closes
+    browser.runtime.connect({ name: `sidebar:${currentWindowId}` });
+    
+    // frame-content.js is registered while a sidebar is open - wait before loading frames
+    await browser.runtime.sendMessage({ type: 'frameScriptReady' });
+  } catch (e) {
+    console.log('Background messaging not available');
+  }
+}
+
+/**
+ * Register with the background script and run a message sent while loading
+ */
+async function runPendingMessage() {
+  try {
+    const pending = await browser.runtime.sendMessage({ type: 'sidebarReady', windowId: currentWindowId });
+    if (pending) {
+      handleBackgroundMessage(pending);
+    }
+  } catch (e) {
+    console.log('Background messaging not available');
+  }
+}
+
+// ===================
+// DRAG AND DROP
+// ===================
+
+/**
+ * Handle drag start
+ */
+function handleDragStart(e) {
+  // Get the button element (might be triggered from child)
+  const button = e.target.closest('.icon-btn');
+  if (!button) return;
+  
+  draggedItem = button;
+  draggedIndex = parseInt(button.dataset.index);
+  
+  // Set drag data
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', draggedIndex.toString());
+  
+  // Set drag image to the button
+  e.dataTransfer.setDragImage(button, button.offsetWidth / 2, button.offsetHeight / 2);
+  
+  // Add dragging class after a small delay (for visual feedback)
+  requestAnimationFrame(() => {
+    if (draggedItem) {
+      draggedItem.classList.add('dragging');
+    }
+  });
+}
+
+/**
+ * Handle drag end
+ */
+function handleDragEnd(e) {
+  if (draggedItem) {
+    draggedItem.classList.remove('dragging');
+  }
+  draggedItem = null;
+  draggedIndex = -1;
+  
+  // Remove all drag-over classes from all buttons
+  document.querySelectorAll('.icon-btn').forEach(btn => {
+    btn.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+  });
+  clearDropTargets();
+}
+
+/**
+ * Handle drag over
+ */
+function handleDragOver(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  e.dataTransfer.dropEffect = 'move';
+  
+  const target = e.target.closest('.icon-btn');
+  if (!target || !draggedItem || target === draggedItem) return;
+  
+  // Dropping on a button takes over from group/bar drop targets
+  clearDropTargets();
+  
+  // Clear previous indicators from other buttons
+  document.querySelectorAll('.icon-btn').forEach(btn => {
+    if (btn !== target) {
+      btn.classList.remove('drag-over-top', 'drag-over-bottom');
+    }
+  });
+  
+  // Determine if dropping above or below
+  const rect = target.getBoundingClientRect();
+  const midY = rect.top + rect.height / 2;
+  const isAbove = e.clientY < midY;
+  
+  // Update visual indicator
+  target.classList.remove('drag-over-top', 'drag-over-bottom');
+  target.classList.add(isAbove ? 'drag-over-top' : 'drag-over-bottom');
+}
+
+/**
+ * Handle drag enter
+ */
+function handleDragEnter(e) {
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+/**
+ * Handle drag leave
+ */
+function handleDragLeave(e) {
+  const target = e.target.closest('.icon-btn');
+  if (!target) return;
+  
+  // Check if we're actually leaving the button (not just moving to a child)
+  const relatedTarget = e.relatedTarget;
+  if (relatedTarget && target.contains(relatedTarget)) {
+    return; // Still inside the button
+  }
+  
+  target.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+}
+
+/**
+ * Handle drop
+ */
+async function handleDrop(e) {
+  e.preventDefault();
+  e.stopPropagation();
+  
+  const target = e.target.closest('.icon-btn');
+  if (!target || !draggedItem || target === draggedItem) return;
+  
+  const targetIndex = parseInt(target.dataset.index);
+  
+  // Determine if dropping above or below
+  const rect = target.getBoundingClientRect();
+  const midY = rect.top + rect.height / 2;
+  const isAbove = e.clientY < midY;
+  
+  // Calculate new index
+  let newIndex = isAbove ? targetIndex : targetIndex + 1;
+  if (draggedIndex < targetIndex) {
+    newIndex--;
+  }
+  
+  // Ensure newIndex is valid
+  newIndex = Math.max(0, Math.min(newIndex, sites.length - 1));
+  
+  // Dropping next to a site also moves into (or out of) its group
+  const targetGroupId = sites[targetIndex] ? sites[targetIndex].groupId || null : null;
+  const draggedSite = sites[draggedIndex];
+  const groupChanged = draggedSite && (draggedSite.groupId || null) !== targetGroupId;
+  
+  // Reorder the sites array
+  if ((draggedIndex !== newIndex || groupChanged) && draggedIndex >= 0 && draggedIndex < sites.length) {
+    recordUndo(msg('actionMoveSite', draggedSite.name));
+    const [movedSite] = sites.splice(draggedIndex, 1);
+    sites.splice(newIndex, 0, { ...movedSite, groupId: targetGroupId });
+    
+    // Save and re-render (active state is restored by renderIcons)
+    await saveSites();
+    renderIcons();
+  }
+  
+  // Cleanup all buttons
+  document.querySelectorAll('.icon-btn').forEach(btn => {
+    btn.classList.remove('drag-over', 'drag-over-top', 'drag-over-bottom');
+  });
+}
+
+/**
+ * Handle drag over the icon bar background or a group (outside site buttons)
+ */
+function handleBarDragOver(e) {
+  if (!draggedItem) return;
+  
+  e.preventDefault();
+  e.dataTransfer.dropEffect = 'move';
+  
+  // Highlight the group the site would move into, or the bar itself (no group)
+  const groupEl = e.target.closest('.icon-group');
+  const dropTarget = groupEl || iconBar;
+  if (!dropTarget.classList.contains('drop-target')) {
+    clearDropTargets();
+    dropTarget.classList.add('drop-target');
+  }
+}
+
+/**
+ * Handle drop on the icon bar background or a group header
+ */
+async function handleBarDrop(e) {
+  if (!draggedItem) return;
+  e.preventDefault();
+  
+  const groupEl = e.target.closest('.icon-group');
+  const siteId = draggedItem.dataset.id;
+  clearDropTargets();
+  
+  await moveSiteToGroup(siteId, groupEl ? groupEl.dataset.groupId : null);
+}
+
+/**
+ * Remove group/bar drop highlights
+ */
+function clearDropTargets() {
+  document.querySelectorAll('.drop-target').forEach(el => {
+    el.classList.remove('drop-target');
+  });
+}
+
+// ===================
+// GROUPS
+// ===================
+
+/**
+ * Move a site into a group (null for no group), placing it after the group's last site
+ */
+async function moveSiteToGroup(siteId, groupId) {
+  const index = sites.findIndex(s => s.id === siteId);
+  if (index === -1) return;
+  
+  recordUndo(msg('actionMoveSite', sites[index].name));
+  const [site] = sites.splice(index, 1);
+  
+  let insertAt = sites.length;
+  sites.forEach((s, i) => {
+    if ((s.groupId || null) === groupId) insertAt = i + 1;
+  });
+  sites.splice(insertAt, 0, { ...site, groupId: groupId });
+  
+  // Show the site where it landed
+  const group = groups.find(g => g.id === groupId);
+  if (group) group.collapsed = false;
+  
+  await saveSites();
+  renderIcons();
+}
+
+/**
+ * Create the icon bar element for a group (header + its site buttons)
+ */
+function createGroupElement(group, groupSites) {
+  const container = document.createElement('div');
+  container.className = 'icon-group';
+  container.setAttribute('data-group-id', group.id);
+  container.style.setProperty('--group-color', group.color || settings.defaultColor);
+  container.classList.toggle('collapsed', Boolean(group.collapsed));
+  
+  const header = document.createElement('button');
+  header.className = 'group-header';
+  header.setAttribute('data-tooltip', `${group.name} (${groupSites.length})`);
+  
+  if (group.icon) {
+    const icon = document.createElement('span');
+    icon.className = 'group-icon';
+    icon.textContent = group.icon;
+    header.appendChild(icon);
+  } else {
+    header.appendChild(createLetterIcon(group.name, group.color));
+  }
+  
+  const count = document.createElement('span');
+  count.className = 'group-count';
+  count.textContent = groupSites.length;
+  header.appendChild(count);
+  
+  // Click toggles collapsed state
+  header.addEventListener('click', () => toggleGroup(group.id));
+  
+  // Right-click shows group menu
+  header.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    showGroupContextMenu(e, group);
+  });
+  
+  const items = document.createElement('div');
+  items.className = 'group-items';
+  groupSites.forEach(({ site, index }) => {
+    items.appendChild(createIconButton(site, index));
+  });
+  
+  // Highlight collapsed group that holds the active site
+  if (groupSites.some(({ site }) => isSiteOnScreen(site.id))) {
+    container.classList.add('has-active');
+  }
+  
+  container.appendChild(header);
+  container.appendChild(items);
+  return container;
+}
+
+/**
+ * Collapse or expand a group
+ */
+async function toggleGroup(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  
+  group.collapsed = !group.collapsed;
+  await saveSites();
+  renderIcons();
+}
+
+/**
+ * Open group modal (new group, or edit when a group is passed)
+ */
+function openGroupModal(group) {
+  editingGroupId = group ? group.id : null;
+  groupModalTitle.textContent = msg(group ? 'groupEditTitle' : 'newGroup');
+  groupName.value = group ? group.name : '';
+  groupIcon.value = group ? group.icon || '' : '';
+  selectedGroupColor = group && group.color ? group.color : settings.defaultColor;
+  updateGroupColorSelection();
+  groupOverlay.classList.add('show');
+  groupName.focus();
+}
+
+/**
+ * Close group modal
+ */
+function closeGroupModal() {
+  groupOverlay.classList.remove('show');
+  editingGroupId = null;
+}
+
+/**
+ * Update group color selection UI
+ */
+function updateGroupColorSelection() {
+  groupColorPicker.querySelectorAll('.color-btn').forEach(btn => {
+    btn.classList.toggle('selected', btn.dataset.color === selectedGroupColor);
+  });
+}
+
+/**
+ * Save new or edited group
+ */
+async function saveGroup() {
+  const name = groupName.value.trim();
+  if (!name) {
+    alert(msg('groupNameRequired'));
+    return;
+  }
+  
+  const icon = groupIcon.value.trim();
+  
+  recordUndo(msg(editingGroupId ? 'actionEditGroup' : 'actionAddGroup', name));
+  
+  if (editingGroupId) {
+    const group = groups.find(g => g.id === editingGroupId);
+    if (group) {
+      group.name = name;
+      group.icon = icon;
+      group.color = selectedGroupColor;
+    }
+  } else {
+    groups.push({
+      id: generateId('group'),
+      name: name,
+      icon: icon,
+      color: selectedGroupColor,
+      collapsed: false
+    });
+  }
+  
+  await saveSites();
+  renderIcons();
+  closeGroupModal();
+}
+
+/**
+ * Delete a group - its sites stay in the bar without a group
+ */
+async function deleteGroup(groupId) {
+  const group = groups.find(g => g.id === groupId);
+  if (!group) return;
+  
+  recordUndo(msg('actionDeleteGroup', group.name));
+  groups = groups.filter(g => g.id !== groupId);
+  sites = sites.map(site => site.groupId === groupId ? { ...site, groupId: null } : site);
+  
+  await saveSites();
+  renderIcons();
+  showUndoToast(msg('groupDeleted', group.name));
+}
+
+/**
+ * Show context menu for a group header
+ */
+function showGroupContextMenu(e, group) {
+  hideContextMenu();
+  
+  contextMenu = document.createElement('div');
+  contextMenu.className = 'context-menu';
+  
+  const editItem = createContextMenuItem('edit', '✏️', msg('groupEditTitle'));
+  const deleteItem = createContextMenuItem('delete', '🗑️', msg('deleteGroup'), true);
+  contextMenu.appendChild(editItem);
+  contextMenu.appendChild(deleteItem);
+  
+  contextMenu.style.left = e.clientX + 'px';
+  contextMenu.style.top = e.clientY + 'px';
+  
+  editItem.addEventListener('click', () => {
+    hideContextMenu();
+    openGroupModal(group);
+  });
+  
+  deleteItem.addEventListener('click', () => {
+    hideContextMenu();
+    deleteGroup(group.id);
+  });
+  
+  document.body.appendChild(contextMenu);
+  
+  // Close on click outside
+  setTimeout(() => {
+    document.addEventListener('click', hideContextMenu, { once: true });
+  }, 0);
+}
+
+// ===================
+// AUTO-HIBERNATE
+// ===================
+
+/**
+ * Get a site's hibernation mode
+ */
+function getHibernateMode(site) {
+  return site && HIBERNATE_MODES.includes(site.hibernateMode) ? site.hibernateMode : 'default';
+}
+
+/**
+ * Get how long a site may stay idle before hibernating (null = never)
+ */
+function getHibernateTimeout(site) {
+  switch (getHibernateMode(site)) {
+    case 'never':
+      return null;
+    case 'custom':
+      return Math.max(1, site.hibernateMinutes || 1) * 60 * 1000;
+    default:
+      // 'immediate' sites use the default while they're on screen
+      return settings.hibernateMinutes * 60 * 1000;
+  }
+}
+
+/**
+ * Reset activity timer (called on user interaction)
+ */
+function resetActivityTimer() {
+  lastActivityTime = Date.now();
+  
+  // If hibernated, wake up
+  if (panes.some(pane => pane.hibernated)) {
+    wakeFromHibernate();
+  }
+}
+
+/**
+ * Check every pooled frame against its site's hibernation policy
+ */
+function checkHibernate() {
+  const now = Date.now();
+  
+  framePool.forEach((entry, siteId) => {
+    const timeout = getHibernateTimeout(getSiteById(siteId));
+    if (timeout === null) return; // Pinned
+    
+    const pane = getPaneForSite(siteId);
+    if (pane) {
+      // Sites on screen sleep once the user is inactive
+      if (now - lastActivityTime >= timeout && !pane.hibernated) {
+        hibernate(pane);
+      }
+    } else if (now - entry.lastUsed >= timeout) {
+      // Background sites sleep once they've been switched away from long enough
+      destroyFrame(siteId);
+      console.log('Sidebar: Hibernated background site', siteId);
+    }
+  });
+}
+
+/**
+ * Hibernate a pane's frame to save memory
+ */
+function hibernate(pane) {
+  if (pane.hibernated || !pane.siteId) return;
+  
+  pane.hibernated = true;
+  pane.hibernatedAt = Date.now();
+  
+  // Unload the frame to free memory
+  destroyFrame(pane.siteId);
+  
+  // Show hibernate overlay
+  showHibernateOverlay(pane);
+  updateFrameStatus();
+  
+  console.log('Sidebar: Hibernated to save memory');
+}
+
+/**
+ * Wake from hibernate
+ */
+function wakeFromHibernate() {
+  panes.forEach(pane => {
+    if (!pane.hibernated) return;
+    
+    pane.hibernated = false;
+    pane.hibernatedAt = null;
+    
+    // Hide hibernate overlay
+    hideHibernateOverlay(pane);
+    
+    // Reload the pane's site (other sites reload when switched to)
+    const site = getSiteById(pane.siteId);
+    if (site) {
+      getPooledFrame(site, pane);
+      showFrame(pane);
+    }
+  });
+  updateFrameStatus();
+  
+  console.log('Sidebar: Woke from hibernate');
+}
+
+/**
+ * Format how long a site has been asleep
+ */
+function formatSleepDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return msg('durationLessThanMinute');
+  if (minutes < 60) return msg('durationMinutes', minutes);
+  
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? msg('durationHoursMinutes', hours, rest) : msg('durationHours', hours);
+}
+
+/**
+ * Update the overlays' "asleep since" text
+ */
+function updateHibernateTime() {
+  panes.forEach(pane => {
+    if (!pane.overlay || !pane.hibernatedAt) return;
+    
+    const timeText = pane.overlay.querySelector('.hibernate-time');
+    const since = new Date(pane.hibernatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    timeText.textContent = msg('hibernateSince', since, formatSleepDuration(Date.now() - pane.hibernatedAt));
+  });
+}
+
+/**
+ * Show a pane's hibernate overlay
+ */
+function showHibernateOverlay(pane) {
+  let overlay = pane.overlay;
+  
+  if (!overlay) {
+    overlay = document.createElement('div');
+    overlay.className = 'hibernate-overlay';
+    
+    const content = document.createElement('div');
+    content.className = 'hibernate-content';
+    
+    const icon = document.createElement('div');
+    icon.className = 'hibernate-icon';
+    icon.textContent = '💤';
+    
+    const title = document.createElement('p');
+    title.className = 'hibernate-title';
+    title.textContent = msg('hibernateTitle');
+    
+    const subtitle = document.createElement('p');
+    subtitle.className = 'hibernate-subtitle';
+    subtitle.textContent = msg('hibernateSubtitle');
+    
+    const time = document.createElement('p');
+    time.className = 'hibernate-time';
+    
+    const wakeBtn = document.createElement('button');
+    wakeBtn.className = 'hibernate-wake-btn';
+    wakeBtn.textContent = msg('hibernateWake');
+    
+    content.appendChild(icon);
+    content.appendChild(title);
+    content.appendChild(subtitle);
+    content.appendChild(time);
+    content.appendChild(wakeBtn);
+    overlay.appendChild(content);
+    
+    // Wake on click
+    overlay.addEventListener('click', () => {
+      resetActivityTimer();
+    });
+    
+    pane.wrapper.appendChild(overlay);
+    pane.overlay = overlay;
+  }
+  
+  overlay.classList.add('show');
+  
+  updateHibernateTime();
+  clearInterval(hibernateOverlayTimer);
+  hibernateOverlayTimer = setInterval(updateHibernateTime, 30 * 1000);
+}
+
+/**
+ * Hide a pane's hibernate overlay
+ */
+function hideHibernateOverlay(pane) {
+  if (pane.overlay) {
+    pane.overlay.classList.remove('show');
+  }
+  
+  // Keep the timer while the other pane still sleeps
+  if (!panes.some(p => p.hibernated)) {
+    clearInterval(hibernateOverlayTimer);
+    hibernateOverlayTimer = null;
+  }
+}
+
+/**
+ * Setup activity listeners
+ */
+function setupActivityListeners() {
+  // Listen for user activity on the sidebar
+  const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+  
+  activityEvents.forEach(event => {
+    document.addEventListener(event, resetActivityTimer, { passive: true });
+  });
+  
+  // Also listen for visibility change
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') {
+      resetActivityTimer();
+    }
+  });
+  
+  // Check frames periodically against their hibernation policy
+  resetActivityTimer();
+  hibernateTimer = setInterval(checkHibernate, HIBERNATE_CHECK_INTERVAL);
+}
+
+// ===================
+// UNDO / REDO
+// ===================
+
+const UNDO_LIMIT = 50;
+const TOAST_DURATION = 6000;
+
+// Snapshots of sites and groups taken before each change: { label, sites, groups }
+let undoStack = [];
+let redoStack = [];
+let toastTimer = null;
+
+/**
+ * Copy the current sites and groups
+ */
+function takeSnapshot(label) {
+  return {
+    label: label,
+    sites: JSON.parse(JSON.stringify(sites)),
+    groups: JSON.parse(JSON.stringify(groups))
+  };
+}
+
+/**
+ * Remember the current sites and groups before a change, so it can be undone
+ */
+function recordUndo(label) {
+  undoStack.push(takeSnapshot(label));
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack = [];
+}
+
+/**
+ * Forget all undo and redo steps
+ */
+function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+/**
+ * Go back to a snapshot and save it
+ */
+async function restoreSnapshot(snapshot) {
+  replaceSitesData(snapshot.sites, snapshot.groups);
+  await saveSites();
+}
+
+/**
+ * Undo the last change to sites or groups
+ */
+async function undo() {
+  const snapshot = undoStack.pop();
+  if (!snapshot) return;
+  
+  redoStack.push(takeSnapshot(snapshot.label));
+  await restoreSnapshot(snapshot);
+  showToast(msg('undone', snapshot.label), msg('redo'), redo);
+}
+
+/**
+ * Redo the last undone change
+ */
+async function redo() {
+  const snapshot = redoStack.pop();
+  if (!snapshot) return;
+  
+  undoStack.push(takeSnapshot(snapshot.label));
+  await restoreSnapshot(snapshot);
+  showToast(msg('redone', snapshot.label), msg('undo'), undo);
+}
+
+/**
+ * Show a short message at the bottom of the panel, with an optional action button
+ */
+function showToast(text, actionLabel, onAction) {
+  toastText.textContent = text;
+  toastAction.textContent = actionLabel || '';
+  toastAction.hidden = !onAction;
+  toastAction.onclick = onAction ? () => {
+    hideToast();
+    onAction();
+  } : null;
+  
+  toast.classList.add('show');
+  clearTimeout(toastTimer);
+  toastTimer = setTimeout(hideToast, TOAST_DURATION);
+}
+
+/**
+ * Show a toast offering to undo the change just made
+ */
+function showUndoToast(text) {
+  showToast(text, msg('undo'), undo);
+}
+
+/**
+ * Hide the toast
+ */
+function hideToast() {
+  clearTimeout(toastTimer);
+  toast.classList.remove('show');
+}
+
+/**
+ * Ctrl+Z / Ctrl+Shift+Z (text fields and dialogs keep their own undo)
+ */
+function handleUndoShortcut(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+  if (e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+  if (document.querySelector('.modal-overlay.show, .palette-overlay.show')) return;
+  
+  e.preventDefault();
+  if (e.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+}
+
+// ===================
+// IMPORT/EXPORT
+// ===================
+
+/**
+ * Let the browser download a generated file
+ */
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Export a backup of sites, groups and settings to a JSON file (see backup.js)
+ * Cached favicons are embedded on request, so the backup restores without refetching
+ */
+async function exportSites(withIcons = false) {
+  let lastSiteId = null;
+  try {
+    const result = await browser.storage.local.get('lastSiteId');
+    lastSiteId = result.lastSiteId || null;
+  } catch (e) {
+    console.log('Could not load last site');
+  }
+  
+  const icons = withIcons ? await getCachedFavicons(sites.map(s => s.url)) : null;
+  const backup = createBackup({ sites, groups, settings, lastSiteId, icons });
+  
+  const date = backup.exportedAt.slice(0, 10);
+  downloadFile(JSON.stringify(backup, null, 2), `sidebar-backup-${date}.json`, 'application/json');
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Export sites as a Netscape bookmark file (groups become folders)
+ */
+function exportSitesAsHtml() {
+  const link = (site, indent) => `${indent}<DT><A HREF="${escapeHtml(site.url)}">${escapeHtml(site.name)}</A>`;
+  
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+  
+  sites.filter(site => !groups.some(g => g.id === site.groupId)).forEach(site => {
+    lines.push(link(site, '    '));
+  });
+  
+  groups.forEach(group => {
+    lines.push(`    <DT><H3>${escapeHtml(group.name)}</H3>`);
+    lines.push('    <DL><p>');
+    sites.filter(site => site.groupId === group.id).forEach(site => {
+      lines.push(link(site, '        '));
+    });
+    lines.push('    </DL><p>');
+  });
+  
+  lines.push('</DL><p>');
+  downloadFile(lines.join('\n') + '\n', 'sidebar-sites.html', 'text/html');
+}
+
+/**
+ * Show a small menu of actions at the mouse position (kept inside the window)
+ */
+function showActionMenu(e, actions) {
+  hideContextMenu();
+  
+  contextMenu = document.createElement('div');
+  contextMenu.className = 'context-menu';
+  
+  actions.forEach(action => {
+    const item = createContextMenuItem(action.id, action.icon, action.label);
+    item.addEventListener('click', () => {
+      hideContextMenu();
+      action.run();
+    });
+    contextMenu.appendChild(item);
+  });
+  
+  contextMenu.style.left = e.clientX + 'px';
+  contextMenu.style.top = e.clientY + 'px';
+  document.body.appendChild(contextMenu);
+  
+  // Buttons at the bottom of the bar would push the menu off screen
+  const rect = contextMenu.getBoundingClientRect();
+  if (rect.bottom > window.innerHeight) {
+    contextMenu.style.top = Math.max(0, window.innerHeight - rect.height - 4) + 'px';
+  }
+  
+  // Close on click outside
+  setTimeout(() => {
+    document.addEventListener('click', hideContextMenu, { once: true });
+  }, 0);
+}
+
+/**
+ * Show the export formats
+ */
+function showExportMenu(e) {
+  showActionMenu(e, [
+    { id: 'export-json', icon: '📄', label: msg('exportJson'), run: () => exportSites() },
+    { id: 'export-json-icons', icon: '🖼️', label: msg('exportJsonIcons'), run: () => exportSites(true) },
+    { id: 'export-html', icon: '🔖', label: msg('exportHtml'), run: exportSitesAsHtml }
+  ]);
+}
+
+/**
+ * Show the import sources
+ */
+function showImportMenu(e) {
+  showActionMenu(e, [
+    { id: 'import-file', icon: '📄', label: msg('importFromFile'), run: importSitesFromFile },
+    { id: 'import-bookmarks', icon: '🔖', label: msg('importFromBookmarks'), run: importFromBookmarks }
+  ]);
+}
+
+/**
+ * Import sites from JSON file
+ */
+function importSitesFromFile() {
+  importFile.click();
+}
+
+/**
+ * Find web panels in a browser's preferences file
+ * Vivaldi keeps them in vivaldi.panels.web.elements; other browsers (e.g. Opera's
+ * sidebar) are searched for any entry with a web URL and a title
+ */
+function findWebPanels(data) {
+  const vivaldi = data && data.vivaldi && data.vivaldi.panels && data.vivaldi.panels.web;
+  const entries = vivaldi && Array.isArray(vivaldi.elements) ? vivaldi.elements : collectUrlEntries(data, []);
+  
+  return entries
+    .filter(entry => entry && typeof entry.url === 'string' && /^https?:\/\//i.test(entry.url))
+    .map(entry => ({ name: entry.title || entry.name || new URL(entry.url).hostname, url: entry.url }));
+}
+
+/**
+ * Collect nested objects that have a web URL and a title or name
+ */
+function collectUrlEntries(value, found, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 12) return found;
+  
+  if (typeof value.url === 'string' && /^https?:\/\//i.test(value.url) && (value.title || value.name)) {
+    found.push(value);
+  } else {
+    Object.values(value).forEach(child => collectUrlEntries(child, found, depth + 1));
+  }
+  return found;
+}
+
+/**
+ * Read a Netscape bookmark HTML file (each folder becomes a group)
+ */
+function parseBookmarksHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const importedSites = [];
+  const importedGroups = [];
+  const groupIds = new Map();
+  
+  doc.querySelectorAll('a[href]').forEach(link => {
+    const url = link.getAttribute('href');
+    if (!/^https?:\/\//i.test(url)) return;
+    
+    // A folder is an <H3> followed by the <DL> holding its bookmarks
+    const list = link.closest('dl');
+    const header = list && list.previousElementSibling;
+    const folder = header && header.tagName === 'H3' ? header.textContent.trim() : '';
+    
+    let groupId = null;
+    if (folder) {
+      if (!groupIds.has(folder)) {
+        groupIds.set(folder, generateId('group'));
+        importedGroups.push({ id: groupIds.get(folder), name: folder });
+      }
+      groupId = groupIds.get(folder);
+    }
+    
+    importedSites.push({ name: link.textContent.trim() || new URL(url).hostname, url: url, groupId: groupId });
+  });
+  
+  return { sites: importedSites, groups: importedGroups };
+}
+
+/**
+ * Read sites and groups from an import file: this extension's backup (any version),
+ * a Netscape bookmark HTML file, or a browser preferences file with web panels
+ */
+function parseImportFile(text) {
+  const content = text.trim();
+  if (content.startsWith('<')) {
+    return parseBookmarksHtml(content);
+  }
+  
+  const data = JSON.parse(content);
+  if (isBackup(data)) {
+    return readBackup(data);
+  }
+  return { sites: findWebPanels(data), groups: [] };
+}
+
+/**
+ * Validate imported sites and groups and fill in defaults
+ * Settings, last site and icons only come with backups
+ */
+function normalizeImport(data) {
+  // Validate each group has required fields
+  const validGroups = data.groups.filter(group =>
+    group && typeof group.id === 'string' && typeof group.name === 'string'
+  ).map(group => ({
+    id: group.id,
+    name: group.name,
+    icon: typeof group.icon === 'string' ? group.icon : '',
+    color: group.color || settings.defaultColor,
+    collapsed: Boolean(group.collapsed)
+  }));
+  const validGroupIds = new Set(validGroups.map(g => g.id));
+  
+  // Validate each site has required fields
+  const validSites = data.sites.filter(site => 
+    site && typeof site.name === 'string' && typeof site.url === 'string'
+  ).map(site => ({
+    id: site.id || generateId(),
+    name: site.name,
+    url: site.url,
+    color: site.color || settings.defaultColor,
+    userAgentMode: USER_AGENT_MODES.includes(site.userAgentMode) ? site.userAgentMode : 'default',
+    customUserAgent: typeof site.customUserAgent === 'string' ? site.customUserAgent : '',
+    hibernateMode: HIBERNATE_MODES.includes(site.hibernateMode) ? site.hibernateMode : 'default',
+    hibernateMinutes: Number(site.hibernateMinutes) > 0 ? Number(site.hibernateMinutes) : 15,
+    customIcon: normalizeCustomIcon(site.customIcon),
+    viewport: VIEWPORT_MODES.includes(site.viewport) ? site.viewport : 'fill',
+    viewportWidth: Number(site.viewportWidth) > 0 ? Number(site.viewportWidth) : null,
+    zoom: getZoom(site),
+    userCss: typeof site.userCss === 'string' ? site.userCss : '',
+    userScript: typeof site.userScript === 'string' ? site.userScript : '',
+    groupId: validGroupIds.has(site.groupId) ? site.groupId : null
+  }));
+  
+  // Only image data URLs go into the favicon cache
+  const icons = {};
+  Object.entries(data.icons || {}).forEach(([url, dataUrl]) => {
+    if (dataUrl.startsWith('data:image/')) icons[url] = dataUrl;
+  });
+  
+  // Entries left out here or by readBackup (older backups)
+  const skipped = (data.skipped || 0) +
+    (data.sites.length - validSites.length) + (data.groups.length - validGroups.length);
+  
+  return {
+    sites: validSites,
+    groups: validGroups,
+    settings: data.settings || null,
+    lastSiteId: data.lastSiteId || null,
+    icons: icons,
+    skipped: skipped
+  };
+}
+
+/**
+ * Handle file import
+ */
+async function handleFileImport(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  
+  try {
+    const data = normalizeImport(parseImportFile(await file.text()));
+    
+    if (data.sites.length === 0) {
+      alert(msg('importNoSites'));
+    } else {
+      openImportPreview(data);
+    }
+  } catch (e) {
+    console.error('Import error:', e);
+    // Backups that don't match the schema list their problems, anything else is unreadable
+    if (e.problems) {
+      const problems = e.problems.map(problem => msg(problem.key, ...problem.substitutions));
+      alert(msg('importInvalid', problems.join('\n')));
+    } else {
+      alert(msg('importFailed'));
+    }
+  }
+  
+  // Reset file input
+  event.target.value = '';
+}
+
+/**
+ * Ask for the bookmarks permission, then preview a bookmark folder
+ */
+async function importFromBookmarks() {
+  // Must be the first call, while the click still counts as a user action
+  let granted = false;
+  try {
+    granted = await browser.permissions.request({ permissions: ['bookmarks'] });
+  } catch (e) {
+    console.log('Could not request the bookmarks permission');
+  }
+  if (!granted) return;
+  
+  const folders = await getBookmarkFolders();
+  if (folders.length === 0) return;
+  
+  importFolder.textContent = '';
+  folders.forEach(folder => {
+    const option = document.createElement('option');
+    option.value = folder.id;
+    option.textContent = folder.path;
+    importFolder.appendChild(option);
+  });
+  
+  openImportPreview({ sites: [], groups: [] }, true);
+  await loadBookmarkFolder();
+}
+
+/**
+ * List every bookmark folder with its full path
+ */
+async function getBookmarkFolders() {
+  const folders = [];
+  
+  const walk = (node, path) => {
+    (node.children || []).forEach(child => {
+      if (child.type === 'folder' || (!child.url && child.children)) {
+        const childPath = path ? `${path} / ${child.title}` : child.title;
+        folders.push({ id: child.id, path: childPath });
+        walk(child, childPath);
+      }
+    });
+  };
+  
+  try {
+    const [root] = await browser.bookmarks.getTree();
+    walk(root, '');
+  } catch (e) {
+    console.log('Could not read bookmarks');
+  }
+  return folders;
+}
+
+/**
+ * Preview the bookmarks of the selected folder (subfolders become groups)
+ */
+async function loadBookmarkFolder() {
+  const importedSites = [];
+  const importedGroups = [];
+  
+  const collect = (node, groupId) => {
+    (node.children || []).forEach(child => {
+      if (child.url) {
+        if (/^https?:\/\//i.test(child.url)) {
+          importedSites.push({ name: child.title || new URL(child.url).hostname, url: child.url, groupId: groupId });
+        }
+      } else if (child.children) {
+        // Deeper folders go into their top subfolder's group
+        let childGroupId = groupId;
+        if (!childGroupId) {
+          childGroupId = generateId('group');
+          importedGroups.push({ id: childGroupId, name: child.title });
+        }
+        collect(child, childGroupId);
+      }
+    });
+  };
+  
+  try {
+    const [folder] = await browser.bookmarks.getSubTree(importFolder.value);
+    collect(folder, null);
+  } catch (e) {
+    console.log('Could not read bookmark folder');
+  }
+  
+  importData = normalizeImport({ sites: importedSites, groups: importedGroups });
+  renderImportPreview();
+}
+
+/**
+ * Open the import preview for parsed sites and groups
+ */
+function openImportPreview(data, fromBookmarks = false) {
+  importData = data;
+  importFolderGroup.hidden = !fromBookmarks;
+  importReplace.checked = false;
+  importSettingsOption.hidden = !data.settings;
+  // Settings from someone else's backup could turn on the favicon service with
+  // their own server, so they're only restored when asked for
+  importSettings.checked = false;
+  importSkipped.hidden = !data.skipped;
+  importSkipped.textContent = data.skipped ? msg('importSkipped', data.skipped) : '';
+  importOverlay.classList.add('show');
+  renderImportPreview();
+}
+
+/**
+ * Close the import preview
+ */
+function closeImportPreview() {
+  importOverlay.classList.remove('show');
+  importData = null;
+}
+
+/**
+ * Render the list of entries to pick from (sites that already exist start unchecked)
+ */
+function renderImportPreview() {
+  importList.textContent = '';
+  
+  const existingUrls = new Set(sites.map(s => s.url));
+  const groupNames = new Map(importData.groups.map(g => [g.id, g.name]));
+  
+  if (importData.sites.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'log-empty';
+    empty.textContent = msg('importNoSites');
+    importList.appendChild(empty);
+  }
+  
+  importData.sites.forEach(site => {
+    const exists = existingUrls.has(site.url);
+    
+    const row = document.createElement('label');
+    row.className = exists ? 'import-item exists' : 'import-item';
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = !exists;
+    checkbox.addEventListener('change', updateImportCount);
+    
+    const text = document.createElement('div');
+    text.className = 'import-text';
+    const name = document.createElement('div');
+    name.className = 'import-name';
+    name.textContent = site.name;
+    const url = document.createElement('div');
+    url.className = 'import-url';
+    url.textContent = site.url;
+    text.appendChild(name);
+    text.appendChild(url);
+    
+    row.appendChild(checkbox);
+    row.appendChild(text);
+    
+    // Group the site will go into, and whether it's already in the sidebar
+    const tags = groupNames.has(site.groupId) ? [groupNames.get(site.groupId)] : [];
+    if (exists) tags.push(msg('importExists'));
+    if (site.userScript) tags.push(msg('importHasScript'));
+    tags.forEach(tagText => {
+      const tag = document.createElement('span');
+      tag.className = 'import-tag';
+      tag.textContent = tagText;
+      row.appendChild(tag);
+    });
+    
+    importList.appendChild(row);
+  });
+  
+  updateImportCount();
+}
+
+/**
+ * Get the sites checked in the import preview
+ */
+function getSelectedImportSites() {
+  const checkboxes = importList.querySelectorAll('input[type="checkbox"]');
+  return importData.sites.filter((site, index) => checkboxes[index] && checkboxes[index].checked);
 }
 
 /**
- * Check if should hibernate
+ * Update the import button and the "select all" box after a change
  */
-function checkHibernate() {
-  const inactiveTime = Date.now() - lastActivityTime;
+function updateImportCount() {
+  const total = importData ? importData.sites.length : 0;
+  const selected = importData ? getSelectedImportSites().length : 0;
   
-  // Only hibernate if iframe has a loaded site and user is inactive
-  if (inactiveTime >= HIBERNATE_TIMEOUT && currentSiteUrl && !isHibernated) {
-    hibernate();
-  }
+  btnImportConfirm.textContent = msg('importSelected', selected);
+  btnImportConfirm.disabled = selected === 0;
+  importSelectAll.checked = total > 0 && selected === total;
+  importSelectAll.indeterminate = selected > 0 && selected < total;
 }
 
 /**
- * Hibernate the iframe to save memory
+ * Check or uncheck every entry
  */
-function hibernate() {
-  if (isHibernated || !currentSiteUrl) return;
-  
-  isHibernated = true;
-  hibernatedUrl = currentSiteUrl;
-  
-  // Unload iframe to free memory
-  webFrame.src = 'about:blank';
-  
-  // Show hibernate overlay
-  showHibernateOverlay();
-  
-  console.log('Sidebar: Hibernated to save memory');
+function toggleImportSelection() {
+  importList.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = importSelectAll.checked;
+  });
+  updateImportCount();
 }
 
 /**
- * Wake from hibernate
+ * Import the checked entries (replacing or merging with the current sites)
  */
-function wakeFromHibernate() {
-  if (!isHibernated) return;
+async function confirmImport() {
+  const validSites = getSelectedImportSites();
+  if (validSites.length === 0) return;
+  
+  // Only bring in groups that selected sites belong to
+  const validGroups = importData.groups.filter(group => validSites.some(s => s.groupId === group.id));
+  
+  recordUndo(msg('actionImport', validSites.length));
+  
+  // Site ids key the frame pool, so an id that's already taken gets a new one
+  const usedIds = new Set(importReplace.checked ? [] : sites.map(s => s.id));
+  const withUniqueId = site => {
+    const id = usedIds.has(site.id) ? generateId() : site.id;
+    usedIds.add(id);
+    return id === site.id ? site : { ...site, id };
+  };
   
-  isHibernated = false;
+  let importedSites;
+  if (importReplace.checked) {
+    // Unloads and forgets the replaced sites, like undo
+    importedSites = validSites.map(withUniqueId);
+    replaceSitesData(importedSites, validGroups);
+  } else {
+    // Merge groups: reuse existing ones with the same id or name
+    const groupIdMap = new Map();
+    validGroups.forEach(group => {
+      const existing = groups.find(g => g.id === group.id || g.name === group.name);
+      if (existing) {
+        groupIdMap.set(group.id, existing.id);
+      } else {
+        groups.push(group);
+        groupIdMap.set(group.id, group.id);
+      }
+    });
+    
+    // Merge: add only sites that don't exist (by URL)
+    const existingUrls = new Set(sites.map(s => s.url));
+    importedSites = validSites.filter(s => !existingUrls.has(s.url)).map(site => withUniqueId({
+      ...site,
+      groupId: site.groupId ? groupIdMap.get(site.groupId) : null
+    }));
+    sites = [...sites, ...importedSites];
+  }
+  
+  // Favicons embedded in the backup, for the sites that were imported
+  for (const site of importedSites) {
+    const icon = importData.icons && importData.icons[site.url];
+    if (icon) {
+      faviconLookups.delete(site.url);
+      await cacheFavicon(site.url, icon);
+    }
+  }
   
-  // Hide hibernate overlay
-  hideHibernateOverlay();
+  if (importReplace.checked && importData.lastSiteId && sites.some(s => s.id === importData.lastSiteId)) {
+    await saveLastSite(importData.lastSiteId);
+  }
   
-  // Reload the site
-  if (hibernatedUrl) {
-    webFrame.src = hibernatedUrl;
-    hibernatedUrl = null;
+  // Applied through onSettingsChanged like changes from the options page
+  if (importSettings.checked && importData.settings) {
+    await saveSettings({ ...settings, ...importData.settings });
   }
   
-  console.log('Sidebar: Woke from hibernate');
+  const count = importedSites.length;
+  await saveSites();
+  renderIcons();
+  closeImportPreview();
+  showUndoToast(msg('sitesImported', count));
 }
 
+// ===================
+// SETTINGS
+// ===================
+
 /**
- * Show hibernate overlay
+ * Apply settings changed from the options page
  */
-function showHibernateOverlay() {
-  let overlay = document.getElementById('hibernateOverlay');
+function applySettings(newSettings) {
+  const faviconServiceChanged = newSettings.faviconServiceEnabled !== settings.faviconServiceEnabled ||
+    newSettings.faviconServiceUrl !== settings.faviconServiceUrl;
   
-  if (!overlay) {
-    overlay = document.createElement('div');
-    overlay.id = 'hibernateOverlay';
-    overlay.className = 'hibernate-overlay';
-    
-    const content = document.createElement('div');
-    content.className = 'hibernate-content';
-    
-    const icon = document.createElement('div');
-    icon.className = 'hibernate-icon';
-    icon.textContent = '💤';
-    
-    const title = document.createElement('p');
-    title.className = 'hibernate-title';
-    title.textContent = 'في وضع السكون';
-    
-    const subtitle = document.createElement('p');
-    subtitle.className = 'hibernate-subtitle';
-    subtitle.textContent = 'لتوفير الذاكرة';
-    
-    const wakeBtn = document.createElement('button');
-    wakeBtn.className = 'hibernate-wake-btn';
-    wakeBtn.textContent = 'اضغط للتنشيط';
-    
-    content.appendChild(icon);
-    content.appendChild(title);
-    content.appendChild(subtitle);
-    content.appendChild(wakeBtn);
-    overlay.appendChild(content);
-    
-    // Wake on click
-    overlay.addEventListener('click', () => {
-      resetActivityTimer();
-    });
-    
-    iframeWrapper.appendChild(overlay);
+  settings = newSettings;
+  applyTheme(settings);
+  evictFrames();
+  
+  // Retry icons that weren't found with the old service settings
+  if (faviconServiceChanged) {
+    faviconLookups.clear();
   }
   
-  overlay.classList.add('show');
+  // Letter icons use the default color
+  renderIcons();
 }
 
 /**
- * Hide hibernate overlay
+ * Open the options page
  */
-function hideHibernateOverlay() {
-  const overlay = document.getElementById('hibernateOverlay');
-  if (overlay) {
-    overlay.classList.remove('show');
-  }
+function openSettings() {
+  browser.runtime.openOptionsPage();
 }
 
+// ===================
+// HEADER DIAGNOSTICS
+// ===================
+
+// Site whose header log is currently shown
+let logSite = null;
+
+// Labels for header log actions
+const LOG_ACTION_LABELS = {
+  modified: msg('logModified'),
+  unchanged: msg('logUnchanged'),
+  skipped: msg('logSkipped')
+};
+
 /**
- * Setup activity listeners
+ * Open the header log view for a site
  */
-function setupActivityListeners() {
-  // Listen for user activity on the sidebar
-  const activityEvents = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
-  
-  activityEvents.forEach(event => {
-    document.addEventListener(event, resetActivityTimer, { passive: true });
-  });
-  
-  // Also listen for visibility change
-  document.addEventListener('visibilitychange', () => {
-    if (document.visibilityState === 'visible') {
-      resetActivityTimer();
-    }
-  });
-  
-  // Start the initial timer
-  resetActivityTimer();
+function openHeaderLog(site) {
+  logSite = site;
+  logTitle.textContent = msg('headerLogTitle', site.name);
+  logOverlay.classList.add('show');
+  renderHeaderLog();
 }
 
-// ===================
-// IMPORT/EXPORT
-// ===================
+/**
+ * Close the header log view
+ */
+function closeHeaderLog() {
+  logOverlay.classList.remove('show');
+  logSite = null;
+}
 
 /**
- * Export sites to JSON file
+ * Fetch the site's header log from the background script and render it
  */
-function exportSites() {
-  const dataStr = JSON.stringify(sites, null, 2);
-  const blob = new Blob([dataStr], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
+async function renderHeaderLog() {
+  if (!logSite) return;
   
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = 'sidebar-sites.json';
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  let entries = [];
+  try {
+    entries = await browser.runtime.sendMessage({ type: 'getHeaderLog', url: logSite.url });
+  } catch (e) {
+    console.log('Could not load header log');
+  }
+  
+  while (logBody.firstChild) {
+    logBody.removeChild(logBody.firstChild);
+  }
+  
+  if (!entries || entries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'log-empty';
+    empty.textContent = msg('headerLogEmpty');
+    logBody.appendChild(empty);
+    return;
+  }
+  
+  entries.forEach(entry => {
+    logBody.appendChild(createLogEntry(entry));
+  });
 }
 
 /**
- * Import sites from JSON file
+ * Create the element for a single header log entry
  */
-function importSitesFromFile() {
-  importFile.click();
+function createLogEntry(entry) {
+  const item = document.createElement('div');
+  item.className = `log-entry ${entry.action}`;
+  
+  const meta = document.createElement('div');
+  meta.className = 'log-meta';
+  meta.textContent = `${new Date(entry.time).toLocaleTimeString()} · ${entry.status} · ${LOG_ACTION_LABELS[entry.action] || entry.action}`;
+  
+  const url = document.createElement('div');
+  url.className = 'log-url';
+  url.textContent = entry.url;
+  url.title = entry.url;
+  
+  item.appendChild(meta);
+  item.appendChild(url);
+  
+  entry.changes.forEach(change => {
+    const line = document.createElement('div');
+    line.className = 'log-change';
+    line.textContent = change.action === 'removed'
+      ? `- ${change.header}: ${change.before}`
+      : `~ ${change.header}: ${change.before} → ${change.after}`;
+    item.appendChild(line);
+  });
+  
+  return item;
 }
 
 /**
- * Handle file import
+ * Clear the current site's header log
  */
-async function handleFileImport(event) {
-  const file = event.target.files[0];
-  if (!file) return;
+async function clearHeaderLog() {
+  if (!logSite) return;
   
   try {
-    const text = await file.text();
-    const importedSites = JSON.parse(text);
-    
-    // Validate imported data
-    if (!Array.isArray(importedSites)) {
-      throw new Error('Invalid format');
-    }
-    
-    // Validate each site has required fields
-    const validSites = importedSites.filter(site => 
-      site && typeof site.name === 'string' && typeof site.url === 'string'
-    ).map(site => ({
-      id: site.id || generateId(),
-      name: site.name,
-      url: site.url,
-      color: site.color || '#4a9eff'
-    }));
-    
-    if (validSites.length === 0) {
-      alert('الملف لا يحتوي على مواقع صالحة');
-      return;
-    }
-    
-    // Ask user whether to replace or merge
-    const replace = confirm(
-      `تم العثور على ${validSites.length} موقع.\n\n` +
-      `اضغط "موافق" لاستبدال المواقع الحالية\n` +
-      `أو "إلغاء" لإضافتها للمواقع الموجودة`
-    );
-    
-    if (replace) {
-      sites = validSites;
-    } else {
-      // Merge: add only sites that don't exist (by URL)
-      const existingUrls = new Set(sites.map(s => s.url));
-      const newSites = validSites.filter(s => !existingUrls.has(s.url));
-      sites = [...sites, ...newSites];
-    }
-    
-    await saveSites();
-    renderIcons();
-    
-    alert('تم استيراد المواقع بنجاح!');
+    await browser.runtime.sendMessage({ type: 'clearHeaderLog', url: logSite.url });
   } catch (e) {
-    console.error('Import error:', e);
-    alert('فشل في قراءة الملف. تأكد من أنه ملف JSON صالح.');
+    console.log('Could not clear header log');
   }
-  
-  // Reset file input
-  event.target.value = '';
+  renderHeaderLog();
 }
 
 /**
@@ -812,10 +3755,21 @@ function renderIcons() {
     iconBar.removeChild(iconBar.firstChild);
   }
   
-  // Add site icons
+  // Add sites without a group first
   sites.forEach((site, index) => {
-    const button = createIconButton(site, index);
-    iconBar.appendChild(button);
+    if (!groups.some(g => g.id === site.groupId)) {
+      const button = createIconButton(site, index);
+      iconBar.appendChild(button);
+    }
+  });
+  
+  // Then each group with its sites
+  groups.forEach(group => {
+    const groupSites = [];
+    sites.forEach((site, index) => {
+      if (site.groupId === group.id) groupSites.push({ site, index });
+    });
+    iconBar.appendChild(createGroupElement(group, groupSites));
   });
   
   // Add separator
@@ -827,17 +3781,25 @@ function renderIcons() {
   const addBtn = createAddButton();
   iconBar.appendChild(addBtn);
   
+  // Add new group button
+  const groupBtn = createUtilityButton('📁', msg('newGroup'), () => openGroupModal());
+  iconBar.appendChild(groupBtn);
+  
   // Add toolbar buttons (refresh & open in tab)
-  const refreshBtn = createUtilityButton('↻', 'تحديث', refreshIframe);
-  const openTabBtn = createUtilityButton('↗', 'فتح في تاب جديد', openInNewTab);
+  const refreshBtn = createUtilityButton('↻', msg('refresh'), () => refreshIframe());
+  const openTabBtn = createUtilityButton('↗', msg('openInNewTab'), () => openInNewTab());
   iconBar.appendChild(refreshBtn);
   iconBar.appendChild(openTabBtn);
   
   // Add import/export buttons
-  const exportBtn = createUtilityButton('📤', 'تصدير المواقع', exportSites);
-  const importBtn = createUtilityButton('📥', 'استيراد المواقع', importSitesFromFile);
+  const exportBtn = createUtilityButton('📤', msg('exportSites'), showExportMenu);
+  const importBtn = createUtilityButton('📥', msg('importSites'), showImportMenu);
   iconBar.appendChild(exportBtn);
   iconBar.appendChild(importBtn);
+  
+  // Add settings button
+  const settingsBtn = createUtilityButton('⚙️', msg('settings'), openSettings);
+  iconBar.appendChild(settingsBtn);
 }
 
 /**
@@ -857,10 +3819,25 @@ function createUtilityButton(icon, tooltip, onClick) {
  */
 function openModal() {
   editingSiteId = null;
-  modalTitle.textContent = 'إضافة موقع جديد';
+  modalTitle.textContent = msg('siteAddTitle');
   siteName.value = '';
   siteUrl.value = '';
-  selectedColor = '#4a9eff';
+  siteUserAgent.value = 'default';
+  siteCustomUserAgent.value = '';
+  updateUserAgentField();
+  siteHibernateMode.value = 'default';
+  siteHibernateMinutes.value = 15;
+  updateHibernateField();
+  siteViewport.value = 'fill';
+  siteViewportWidth.value = '';
+  updateViewportField();
+  siteZoom.value = '100';
+  siteUserCss.value = '';
+  siteUserScript.value = '';
+  siteUserCode.open = false;
+  siteIcon.value = '';
+  setModalIcon('');
+  selectedColor = settings.defaultColor;
   updateColorSelection();
   modalOverlay.classList.add('show');
   siteName.focus();
@@ -871,10 +3848,25 @@ function openModal() {
  */
 function openEditModal(site) {
   editingSiteId = site.id;
-  modalTitle.textContent = 'تعديل الموقع';
+  modalTitle.textContent = msg('siteEditTitle');
   siteName.value = site.name;
   siteUrl.value = site.url;
-  selectedColor = site.color || '#4a9eff';
+  siteUserAgent.value = site.userAgentMode || 'default';
+  siteCustomUserAgent.value = site.customUserAgent || '';
+  updateUserAgentField();
+  siteHibernateMode.value = getHibernateMode(site);
+  siteHibernateMinutes.value = site.hibernateMinutes || 15;
+  updateHibernateField();
+  siteViewport.value = getViewportMode(site);
+  siteViewportWidth.value = site.viewportWidth || '';
+  updateViewportField();
+  siteZoom.value = String(getZoom(site));
+  siteUserCss.value = site.userCss || '';
+  siteUserScript.value = site.userScript || '';
+  siteUserCode.open = Boolean(site.userCss || site.userScript);
+  siteIcon.value = isImageIcon(site.customIcon) ? '' : site.customIcon || '';
+  setModalIcon(site.customIcon || '');
+  selectedColor = site.color || settings.defaultColor;
   updateColorSelection();
   modalOverlay.classList.add('show');
   siteName.focus();
@@ -888,11 +3880,99 @@ function closeModal() {
   editingSiteId = null;
 }
 
+/**
+ * Show the custom User-Agent field only in custom mode
+ */
+function updateUserAgentField() {
+  siteCustomUserAgent.classList.toggle('hidden', siteUserAgent.value !== 'custom');
+}
+
+/**
+ * Show the minutes field only for a custom hibernation timeout
+ */
+function updateHibernateField() {
+  siteHibernateMinutes.classList.toggle('hidden', siteHibernateMode.value !== 'custom');
+}
+
+/**
+ * Show the custom icon chosen in the site modal
+ */
+function setModalIcon(icon) {
+  editingIcon = icon;
+  siteIconPreview.textContent = '';
+  
+  if (isImageIcon(icon)) {
+    const img = document.createElement('img');
+    img.src = icon;
+    siteIconPreview.appendChild(img);
+    siteIcon.value = '';
+  } else {
+    siteIconPreview.textContent = icon;
+  }
+  siteIconPreview.classList.toggle('empty', !icon);
+}
+
+/**
+ * Scale an image file down to CUSTOM_ICON_SIZE and return it as a PNG data URL
+ */
+function resizeIconImage(file) {
+  return new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(file);
+    const img = new Image();
+    
+    img.onload = () => {
+      // SVGs may have no intrinsic size
+      const width = img.naturalWidth || CUSTOM_ICON_SIZE;
+      const height = img.naturalHeight || CUSTOM_ICON_SIZE;
+      const scale = Math.min(1, CUSTOM_ICON_SIZE / Math.max(width, height));
+      
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(width * scale));
+      canvas.height = Math.max(1, Math.round(height * scale));
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      
+      URL.revokeObjectURL(objectUrl);
+      resolve(canvas.toDataURL('image/png'));
+    };
+    
+    img.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error('Invalid image'));
+    };
+    
+    img.src = objectUrl;
+  });
+}
+
+/**
+ * Use an uploaded or pasted image as the custom icon
+ */
+async function setModalIconFromFile(file) {
+  if (!file || !file.type.startsWith('image/')) return;
+  
+  try {
+    setModalIcon(await resizeIconImage(file));
+  } catch (e) {
+    alert(msg('customIconInvalid'));
+  }
+}
+
+/**
+ * Use an image pasted anywhere in the site modal as the custom icon
+ */
+function handleIconPaste(e) {
+  const file = [...e.clipboardData.files].find(f => f.type.startsWith('image/'));
+  if (file) {
+    e.preventDefault();
+    setModalIconFromFile(file);
+  }
+}
+
 /**
  * Update color selection UI
  */
 function updateColorSelection() {
-  document.querySelectorAll('.color-btn').forEach(btn => {
+  colorPicker.querySelectorAll('.color-btn').forEach(btn => {
     btn.classList.toggle('selected', btn.dataset.color === selectedColor);
   });
 }
@@ -905,7 +3985,7 @@ async function saveSite() {
   let url = siteUrl.value.trim();
   
   if (!name || !url) {
-    alert('من فضلك أدخل اسم الموقع والرابط');
+    alert(msg('siteRequired'));
     return;
   }
   
@@ -914,16 +3994,68 @@ async function saveSite() {
     url = 'https://' + url;
   }
   
+  // Custom mode without a string is the same as default
+  const customUserAgent = siteCustomUserAgent.value.trim();
+  const userAgentMode = siteUserAgent.value === 'custom' && !customUserAgent
+    ? 'default'
+    : siteUserAgent.value;
+  
+  const hibernateMode = siteHibernateMode.value;
+  const hibernateMinutes = Math.max(1, parseInt(siteHibernateMinutes.value) || 15);
+  const customIcon = normalizeCustomIcon(editingIcon);
+  
+  // Custom viewport without a usable width fills the panel
+  let viewport = siteViewport.value;
+  const viewportWidth = parseInt(siteViewportWidth.value) || null;
+  if (viewport === 'custom' && !(viewportWidth >= VIEWPORT_MIN_WIDTH && viewportWidth <= VIEWPORT_MAX_WIDTH)) {
+    viewport = 'fill';
+  }
+  const zoom = siteZoom.value === ZOOM_FIT ? ZOOM_FIT : parseInt(siteZoom.value);
+  const userCss = siteUserCss.value.trim();
+  const userScript = siteUserScript.value.trim();
+  
+  recordUndo(msg(editingSiteId ? 'actionEditSite' : 'actionAddSite', name));
+  let reloadSite = null;
+  
   if (editingSiteId) {
     // Edit existing site
     const siteIndex = sites.findIndex(s => s.id === editingSiteId);
     if (siteIndex !== -1) {
+      const oldSite = sites[siteIndex];
+      const needsReload = oldSite.url !== url ||
+        (oldSite.userAgentMode || 'default') !== userAgentMode ||
+        (oldSite.customUserAgent || '') !== customUserAgent ||
+        (oldSite.userCss || '') !== userCss ||
+        (oldSite.userScript || '') !== userScript;
+      
       sites[siteIndex] = {
-        ...sites[siteIndex],
+        ...oldSite,
         name: name,
         url: url,
-        color: selectedColor
+        color: selectedColor,
+        userAgentMode: userAgentMode,
+        customUserAgent: customUserAgent,
+        hibernateMode: hibernateMode,
+        hibernateMinutes: hibernateMinutes,
+        customIcon: customIcon,
+        viewport: viewport,
+        viewportWidth: viewportWidth,
+        zoom: zoom,
+        userCss: userCss,
+        userScript: userScript
       };
+      
+      // Drop the stale frame; reload right away if it's on screen
+      if (oldSite.url !== url) {
+        clearLastUrl(editingSiteId);
+        setEmbedFailure(editingSiteId, false);
+      }
+      if (needsReload) {
+        destroyFrame(editingSiteId);
+        if (isSiteOnScreen(editingSiteId)) {
+          reloadSite = sites[siteIndex];
+        }
+      }
     }
   } else {
     // Add new site
@@ -931,14 +4063,31 @@ async function saveSite() {
       id: generateId(),
       name: name,
       url: url,
-      color: selectedColor
+      color: selectedColor,
+      userAgentMode: userAgentMode,
+      customUserAgent: customUserAgent,
+      hibernateMode: hibernateMode,
+      hibernateMinutes: hibernateMinutes,
+      customIcon: customIcon,
+      viewport: viewport,
+      viewportWidth: viewportWidth,
+      zoom: zoom,
+      userCss: userCss,
+      userScript: userScript,
+      groupId: null
     };
     sites.push(newSite);
   }
   
   await saveSites();
   renderIcons();
+  applyAllFrameViews();
+  updateViewControls();
   closeModal();
+  
+  if (reloadSite) {
+    loadSite(reloadSite, getPaneForSite(reloadSite.id));
+  }
 }
 
 /**
@@ -951,29 +4100,14 @@ function showContextMenu(e, site) {
   contextMenu = document.createElement('div');
   contextMenu.className = 'context-menu';
   
-  // Create edit item
-  const editItem = document.createElement('div');
-  editItem.className = 'context-menu-item';
-  editItem.setAttribute('data-action', 'edit');
-  const editIcon = document.createElement('span');
-  editIcon.textContent = '✏️';
-  const editText = document.createElement('span');
-  editText.textContent = 'تعديل';
-  editItem.appendChild(editIcon);
-  editItem.appendChild(editText);
-  
-  // Create delete item
-  const deleteItem = document.createElement('div');
-  deleteItem.className = 'context-menu-item danger';
-  deleteItem.setAttribute('data-action', 'delete');
-  const deleteIcon = document.createElement('span');
-  deleteIcon.textContent = '🗑️';
-  const deleteText = document.createElement('span');
-  deleteText.textContent = 'حذف';
-  deleteItem.appendChild(deleteIcon);
-  deleteItem.appendChild(deleteText);
+  const editItem = createContextMenuItem('edit', '✏️', msg('edit'));
+  const logItem = createContextMenuItem('log', '🧾', msg('headerLog'));
+  const refreshIconItem = createContextMenuItem('refresh-icon', '🔄', msg('refreshIcon'));
+  const deleteItem = createContextMenuItem('delete', '🗑️', msg('delete'), true);
   
   contextMenu.appendChild(editItem);
+  contextMenu.appendChild(logItem);
+  contextMenu.appendChild(refreshIconItem);
   contextMenu.appendChild(deleteItem);
   
   contextMenu.style.left = e.clientX + 'px';
@@ -985,20 +4119,40 @@ function showContextMenu(e, site) {
     openEditModal(site);
   });
   
+  // Handle header log
+  logItem.addEventListener('click', () => {
+    hideContextMenu();
+    openHeaderLog(site);
+  });
+  
+  // Handle refresh icon (fetch the favicon again)
+  refreshIconItem.addEventListener('click', async () => {
+    hideContextMenu();
+    await refreshFavicon(site.url);
+    renderIcons();
+  });
+  
   // Handle delete
   deleteItem.addEventListener('click', async () => {
+    recordUndo(msg('actionDeleteSite', site.name));
     sites = sites.filter(s => s.id !== site.id);
+    destroyFrame(site.id);
+    clearLastUrl(site.id);
+    setEmbedFailure(site.id, false);
+    
+    // Empty the pane that showed the deleted site
+    const pane = getPaneForSite(site.id);
+    if (pane) {
+      clearPane(pane);
+    }
+    
     await saveSites();
     renderIcons();
     hideContextMenu();
+    showUndoToast(msg('siteDeleted', site.name));
     
-    // Reset iframe if deleted site was active
-    if (activeButton && activeButton.dataset.id === site.id) {
-      webFrame.src = 'about:blank';
-      welcome.classList.remove('hidden');
-      activeButton = null;
-      currentSiteUrl = null;
-    }
+    // Drop the deleted site's cached favicon (undo fetches it again)
+    pruneFaviconCache(sites.map(s => s.url));
   });
   
   document.body.appendChild(contextMenu);
@@ -1009,6 +4163,24 @@ function showContextMenu(e, site) {
   }, 0);
 }
 
+/**
+ * Create a context menu item
+ */
+function createContextMenuItem(action, icon, text, danger = false) {
+  const item = document.createElement('div');
+  item.className = danger ? 'context-menu-item danger' : 'context-menu-item';
+  item.setAttribute('data-action', action);
+  
+  const iconSpan = document.createElement('span');
+  iconSpan.textContent = icon;
+  const textSpan = document.createElement('span');
+  textSpan.textContent = text;
+  
+  item.appendChild(iconSpan);
+  item.appendChild(textSpan);
+  return item;
+}
+
 /**
  * Hide context menu
  */
@@ -1023,6 +4195,19 @@ function hideContextMenu() {
  * Initialize
  */
 async function init() {
+  // Panes come from a template, so create them before translating the page
+  createPanes();
+  
+  // Translate the static UI and set the text direction
+  localizePage();
+  
+  // The background script upgrades data stored by older versions - wait for it
+  try {
+    await browser.runtime.sendMessage({ type: 'storageReady' });
+  } catch (e) {
+    console.log('Could not wait for storage migration');
+  }
+  
   // Initialize favicon cache database
   try {
     await initDB();
@@ -1030,11 +4215,20 @@ async function init() {
     console.log('IndexedDB not available, favicons will not be cached');
   }
   
+  settings = await loadSettings();
+  setupTheme(settings);
   await loadSites();
+  await pruneFaviconCache(sites.map(site => site.url));
+  await loadLastUrls();
+  await loadEmbedFailures();
   renderIcons();
   
+  // Frames report to the sidebar as soon as they load
+  await setupMessaging();
+  
   // Load last visited site automatically
   await loadLastSite();
+  await loadSplitLayout();
   
   // Modal event listeners
   modalClose.addEventListener('click', closeModal);
@@ -1046,6 +4240,62 @@ async function init() {
     if (e.target === modalOverlay) closeModal();
   });
   
+  // Header log modal
+  document.getElementById('logClose').addEventListener('click', closeHeaderLog);
+  document.getElementById('btnRefreshLog').addEventListener('click', renderHeaderLog);
+  document.getElementById('btnClearLog').addEventListener('click', clearHeaderLog);
+  logOverlay.addEventListener('click', (e) => {
+    if (e.target === logOverlay) closeHeaderLog();
+  });
+  
+  // Group modal
+  document.getElementById('groupModalClose').addEventListener('click', closeGroupModal);
+  document.getElementById('btnGroupCancel').addEventListener('click', closeGroupModal);
+  document.getElementById('btnGroupSave').addEventListener('click', saveGroup);
+  groupOverlay.addEventListener('click', (e) => {
+    if (e.target === groupOverlay) closeGroupModal();
+  });
+  groupName.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') saveGroup();
+  });
+  groupColorPicker.addEventListener('click', (e) => {
+    if (e.target.classList.contains('color-btn')) {
+      selectedGroupColor = e.target.dataset.color;
+      updateGroupColorSelection();
+    }
+  });
+  
+  // Navigation bar
+  navBack.addEventListener('click', () => navigateFrame('back'));
+  navForward.addEventListener('click', () => navigateFrame('forward'));
+  document.getElementById('navHome').addEventListener('click', goHome);
+  navViewport.addEventListener('click', showViewportMenu);
+  navZoom.addEventListener('click', showZoomMenu);
+  navSplit.addEventListener('click', () => setSplitView(!splitLayout.enabled));
+  navAddress.addEventListener('focus', () => navAddress.select());
+  
+  // Frames are sized in pixels for viewports and zoom
+  const paneResizeObserver = new ResizeObserver(applyAllFrameViews);
+  panes.forEach(pane => paneResizeObserver.observe(pane.wrapper));
+  
+  // Split view divider and focus
+  paneDivider.addEventListener('pointerdown', startDividerDrag);
+  paneDivider.addEventListener('keydown', handleDividerKeydown);
+  window.addEventListener('blur', handleFrameFocus);
+  
+  // Command palette
+  document.addEventListener('keydown', handlePaletteShortcut);
+  document.addEventListener('keydown', handleUndoShortcut);
+  paletteInput.addEventListener('input', renderPalette);
+  paletteInput.addEventListener('keydown', handlePaletteKeydown);
+  paletteOverlay.addEventListener('click', (e) => {
+    if (e.target === paletteOverlay) closePalette();
+  });
+  
+  // Dropping on the bar or a group moves sites between groups
+  iconBar.addEventListener('dragover', handleBarDragOver);
+  iconBar.addEventListener('drop', handleBarDrop);
+  
   // Color picker
   colorPicker.addEventListener('click', (e) => {
     if (e.target.classList.contains('color-btn')) {
@@ -1054,6 +4304,26 @@ async function init() {
     }
   });
   
+  // User-Agent mode
+  siteUserAgent.addEventListener('change', updateUserAgentField);
+  siteViewport.addEventListener('change', updateViewportField);
+  
+  // Hibernation mode
+  siteHibernateMode.addEventListener('change', updateHibernateField);
+  
+  // Custom icon: type an emoji, upload an image or paste one
+  siteIcon.addEventListener('input', () => setModalIcon(siteIcon.value.trim()));
+  modalOverlay.addEventListener('paste', handleIconPaste);
+  btnIconUpload.addEventListener('click', () => siteIconFile.click());
+  siteIconFile.addEventListener('change', () => {
+    setModalIconFromFile(siteIconFile.files[0]);
+    siteIconFile.value = '';
+  });
+  btnIconClear.addEventListener('click', () => {
+    siteIcon.value = '';
+    setModalIcon('');
+  });
+  
   // Enter key to save
   siteUrl.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') saveSite();
@@ -1065,8 +4335,27 @@ async function init() {
   // Import file handler
   importFile.addEventListener('change', handleFileImport);
   
+  // Import preview
+  importClose.addEventListener('click', closeImportPreview);
+  btnImportCancel.addEventListener('click', closeImportPreview);
+  btnImportConfirm.addEventListener('click', confirmImport);
+  importSelectAll.addEventListener('change', toggleImportSelection);
+  importFolder.addEventListener('change', loadBookmarkFolder);
+  importOverlay.addEventListener('click', (e) => {
+    if (e.target === importOverlay) closeImportPreview();
+  });
+  
   // Setup auto-hibernate
   setupActivityListeners();
+  
+  // Apply changes from the options page live
+  onSettingsChanged(applySettings);
+  
+  // Pick up sites synced from other devices or edited in other windows
+  browser.storage.onChanged.addListener(handleSitesChanged);
+  
+  // Keyboard commands and context menus (after the last site is shown)
+  await runPendingMessage();
 }
 
 // Initialize when DOM is ready
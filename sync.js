@@ -0,0 +1,408 @@
+/**
+ * Sync of sites and groups across devices through browser.storage.sync
+ * Runs in the background page; storage.local stays the source of truth for the
+ * sidebar and is merged with the synced copy (favicons and uploaded icons stay local)
+ *
+ * Every site and group has a modification time and deletions leave tombstones,
+ * so concurrent edits on two devices keep the newest version of each item
+ */
+
+// storage.sync keys (the data is split over several chunks)
+const SYNC_META_KEY = 'syncMeta';
+const SYNC_CHUNK_PREFIX = 'syncChunk_';
+
+// Characters per chunk - stays under the 8 KB per-item quota even after JSON escaping
+const SYNC_CHUNK_SIZE = 3000;
+
+// Wait for a burst of local edits (e.g. drag and drop) before syncing
+const SYNC_DELAY = 2000;
+
+// Tombstones are dropped once every device has most likely seen them
+const TOMBSTONE_TTL = 30 * 24 * 60 * 60 * 1000;
+
+// Kinds of items that are synced
+const SYNC_KINDS = ['sites', 'groups'];
+
+// Sync bookkeeping, kept in storage.local:
+// { deviceId, items: {id: modifiedAt}, tombstones: {id: deletedAt}, orderModifiedAt: {kind: time}, lastSyncAt, lastError }
+// lastError is 'quota' when the data doesn't fit in storage.sync (shown to the user), otherwise null
+let syncState = null;
+
+// Sites and groups as last seen in storage.local (to find what an edit changed)
+let lastKnownData = null;
+
+let syncTimer = null;
+let syncRunning = false;
+let syncQueued = false; // A change arrived while a sync was running
+
+/**
+ * Load the sync bookkeeping (a new device gets a random id)
+ */
+async function loadSyncState() {
+  try {
+    const result = await browser.storage.local.get(['syncState', 'sites', 'groups']);
+    syncState = result.syncState || null;
+    lastKnownData = {
+      sites: Array.isArray(result.sites) ? result.sites : [],
+      groups: Array.isArray(result.groups) ? result.groups : []
+    };
+  } catch (e) {
+    console.log('Could not load sync state');
+  }
+
+  if (!syncState) {
+    syncState = {
+      deviceId: Math.random().toString(36).substr(2, 12),
+      items: {},
+      tombstones: {},
+      orderModifiedAt: {},
+      lastSyncAt: null,
+      lastError: null
+    };
+  }
+  if (!lastKnownData) lastKnownData = { sites: [], groups: [] };
+}
+
+/**
+ * Save the sync bookkeeping
+ */
+async function saveSyncState() {
+  try {
+    await browser.storage.local.set({ syncState });
+  } catch (e) {
+    console.log('Could not save sync state');
+  }
+}
+
+/**
+ * Record modification times and tombstones for a local edit
+ * Returns true if anything changed
+ */
+function trackLocalChanges(data) {
+  const now = Date.now();
+  let changed = false;
+
+  SYNC_KINDS.forEach(kind => {
+    const before = new Map(lastKnownData[kind].map(item => [item.id, JSON.stringify(item)]));
+    const after = data[kind];
+    const afterIds = new Set(after.map(item => item.id));
+
+    after.forEach(item => {
+      if (before.get(item.id) !== JSON.stringify(item)) {
+        syncState.items[item.id] = now;
+        delete syncState.tombstones[item.id];
+        changed = true;
+      }
+    });
+
+    before.forEach((value, id) => {
+      if (!afterIds.has(id)) {
+        syncState.tombstones[id] = now;
+        delete syncState.items[id];
+        changed = true;
+      }
+    });
+
+    const beforeOrder = lastKnownData[kind].map(item => item.id).join(',');
+    if (beforeOrder !== after.map(item => item.id).join(',')) {
+      syncState.orderModifiedAt[kind] = now;
+      changed = true;
+    }
+  });
+
+  lastKnownData = data;
+  return changed;
+}
+
+/**
+ * Build the data written to storage.sync (uploaded image icons stay local)
+ */
+function toSyncPayload(data, state) {
+  const payload = {
+    items: state.items,
+    tombstones: state.tombstones,
+    orderModifiedAt: state.orderModifiedAt
+  };
+
+  SYNC_KINDS.forEach(kind => {
+    payload[kind] = data[kind].map(item => {
+      if (typeof item.customIcon === 'string' && item.customIcon.startsWith('data:')) {
+        return { ...item, customIcon: '' };
+      }
+      return item;
+    });
+  });
+
+  return payload;
+}
+
+/**
+ * Serialize a payload using only ASCII characters, so its length is its size in bytes
+ */
+function encodeSyncPayload(payload) {
+  return JSON.stringify(payload).replace(/[\u007f-\uffff]/g, char => {
+    return '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0');
+  });
+}
+
+/**
+ * Read the synced data (null if there is none)
+ * Throws if it's incomplete, e.g. while another device's write is still arriving
+ */
+async function readSyncData() {
+  const result = await browser.storage.sync.get(SYNC_META_KEY);
+  const meta = result[SYNC_META_KEY];
+  if (!meta || !meta.chunks) return null;
+
+  const keys = [];
+  for (let i = 0; i < meta.chunks; i++) keys.push(SYNC_CHUNK_PREFIX + i);
+  const chunks = await browser.storage.sync.get(keys);
+
+  if (keys.some(key => typeof chunks[key] !== 'string')) {
+    throw new Error('Synced data is incomplete');
+  }
+  try {
+    return JSON.parse(keys.map(key => chunks[key]).join(''));
+  } catch (e) {
+    throw new Error('Synced data is invalid');
+  }
+}
+
+/**
+ * Get the sites and groups stored right now (edits may still be on their way to onChanged)
+ */
+async function readLocalData() {
+  const result = await browser.storage.local.get(['sites', 'groups']);
+  return {
+    sites: Array.isArray(result.sites) ? result.sites : [],
+    groups: Array.isArray(result.groups) ? result.groups : []
+  };
+}
+
+/**
+ * Remember whether the last sync failed because the data didn't fit in storage.sync
+ */
+function setSyncError(error) {
+  if (syncState.lastError === error) return;
+  syncState.lastError = error;
+  saveSyncState();
+}
+
+/**
+ * Write a payload to storage.sync in chunks
+ */
+async function writeSyncData(encoded) {
+  const previous = await browser.storage.sync.get(SYNC_META_KEY);
+  const previousChunks = previous[SYNC_META_KEY] ? previous[SYNC_META_KEY].chunks : 0;
+
+  const items = {};
+  let count = 0;
+  for (let i = 0; i < encoded.length; i += SYNC_CHUNK_SIZE) {
+    items[SYNC_CHUNK_PREFIX + count] = encoded.slice(i, i + SYNC_CHUNK_SIZE);
+    count++;
+  }
+  items[SYNC_META_KEY] = {
+    chunks: count,
+    deviceId: syncState.deviceId,
+    updatedAt: Date.now()
+  };
+
+  await browser.storage.sync.set(items);
+
+  // Remove chunks left over from a longer previous payload
+  const stale = [];
+  for (let i = count; i < previousChunks; i++) stale.push(SYNC_CHUNK_PREFIX + i);
+  if (stale.length > 0) await browser.storage.sync.remove(stale);
+}
+
+/**
+ * On the first sync of a device, drop local sites and groups that already exist
+ * remotely under another id (e.g. the same site added by hand on both devices)
+ */
+function dropFirstSyncDuplicates(local, remote) {
+  const remoteGroupIds = new Map(remote.groups.map(group => [group.name, group.id]));
+  const groupIdMap = new Map();
+
+  const groups = local.groups.filter(group => {
+    const remoteId = remoteGroupIds.get(group.name);
+    if (remoteId && remoteId !== group.id) {
+      groupIdMap.set(group.id, remoteId);
+      return false;
+    }
+    return true;
+  });
+
+  const remoteUrls = new Map(remote.sites.map(site => [site.url, site.id]));
+  const sites = local.sites
+    .filter(site => !remoteUrls.has(site.url) || remoteUrls.get(site.url) === site.id)
+    .map(site => groupIdMap.has(site.groupId) ? { ...site, groupId: groupIdMap.get(site.groupId) } : site);
+
+  return { sites, groups };
+}
+
+/**
+ * Merge one kind of item: newest version wins, deletions win over older edits
+ */
+function mergeItems(kind, local, localState, remote) {
+  const localItems = new Map(local[kind].map(item => [item.id, item]));
+  const remoteItems = new Map(remote[kind].map(item => [item.id, item]));
+  const kept = new Map();
+
+  new Set([...localItems.keys(), ...remoteItems.keys()]).forEach(id => {
+    const localItem = localItems.get(id);
+    const remoteItem = remoteItems.get(id);
+    const localTime = localState.items[id] || 0;
+    const remoteTime = remote.items[id] || 0;
+
+    const useRemote = Boolean(remoteItem) && (!localItem || remoteTime > localTime);
+    let item = useRemote ? remoteItem : localItem;
+    const modifiedAt = useRemote ? remoteTime : localTime;
+
+    const deletedAt = Math.max(localState.tombstones[id] || 0, remote.tombstones[id] || 0);
+    if (deletedAt && deletedAt >= modifiedAt) return;
+
+    // Uploaded icons aren't synced - keep this device's one
+    if (useRemote && localItem && !item.customIcon &&
+        typeof localItem.customIcon === 'string' && localItem.customIcon.startsWith('data:')) {
+      item = { ...item, customIcon: localItem.customIcon };
+    }
+
+    kept.set(id, item);
+  });
+
+  // Order follows the device that reordered last; items only the other one has go last
+  const remoteFirst = (remote.orderModifiedAt[kind] || 0) > (localState.orderModifiedAt[kind] || 0);
+  const primary = remoteFirst ? remote[kind] : local[kind];
+  const secondary = remoteFirst ? local[kind] : remote[kind];
+  const order = [...primary, ...secondary].map(item => item.id);
+
+  return [...new Set(order)].filter(id => kept.has(id)).map(id => kept.get(id));
+}
+
+/**
+ * Merge the bookkeeping of both sides (latest time per item, expired tombstones dropped)
+ */
+function mergeSyncState(localState, remote) {
+  const now = Date.now();
+  const maxTimes = (a, b) => {
+    const merged = { ...a };
+    Object.keys(b || {}).forEach(id => {
+      merged[id] = Math.max(merged[id] || 0, b[id]);
+    });
+    return merged;
+  };
+
+  const tombstones = maxTimes(localState.tombstones, remote.tombstones);
+  Object.keys(tombstones).forEach(id => {
+    if (now - tombstones[id] > TOMBSTONE_TTL) delete tombstones[id];
+  });
+
+  return {
+    ...localState,
+    items: maxTimes(localState.items, remote.items),
+    tombstones: tombstones,
+    orderModifiedAt: maxTimes(localState.orderModifiedAt, remote.orderModifiedAt)
+  };
+}
+
+/**
+ * Merge the local sites and groups with the synced copy and write both back
+ */
+async function runSync() {
+  if (!settings.syncEnabled || !syncState) return;
+  if (syncRunning) {
+    syncQueued = true;
+    return;
+  }
+  syncRunning = true;
+
+  try {
+    const remote = await readSyncData();
+
+    // Merge with what's stored now, so edits made while reading aren't overwritten
+    const current = await readLocalData();
+    if (trackLocalChanges(current)) saveSyncState();
+    let local = lastKnownData;
+
+    if (remote) {
+      remote.items = remote.items || {};
+      remote.tombstones = remote.tombstones || {};
+      remote.orderModifiedAt = remote.orderModifiedAt || {};
+      SYNC_KINDS.forEach(kind => {
+        if (!Array.isArray(remote[kind])) remote[kind] = [];
+      });
+
+      if (!syncState.lastSyncAt) {
+        local = dropFirstSyncDuplicates(local, remote);
+      }
+
+      const merged = {
+        sites: mergeItems('sites', local, syncState, remote),
+        groups: mergeItems('groups', local, syncState, remote)
+      };
+      syncState = mergeSyncState(syncState, remote);
+
+      // Set before writing so the storage change isn't taken for a local edit
+      if (JSON.stringify(merged) !== JSON.stringify(lastKnownData)) {
+        lastKnownData = merged;
+        await browser.storage.local.set(merged);
+      }
+    }
+
+    const encoded = encodeSyncPayload(toSyncPayload(lastKnownData, syncState));
+    if (!remote || encoded !== encodeSyncPayload(remote)) {
+      await writeSyncData(encoded);
+    }
+
+    syncState.lastSyncAt = Date.now();
+    syncState.lastError = null;
+    await saveSyncState();
+  } catch (e) {
+    console.log('Could not sync sites:', e.message);
+    if (/quota/i.test(e.message)) setSyncError('quota');
+  } finally {
+    syncRunning = false;
+  }
+
+  if (syncQueued) {
+    syncQueued = false;
+    runSync();
+  }
+}
+
+/**
+ * Run a sync shortly (edits and remote changes often come in bursts)
+ */
+function scheduleSync() {
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(runSync, SYNC_DELAY);
+}
+
+/**
+ * Track local edits and sync on local or remote changes
+ */
+async function setupSync() {
+  await loadSyncState();
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && (changes.sites || changes.groups)) {
+      // Modification times are tracked even while sync is off
+      const changed = trackLocalChanges({
+        sites: changes.sites ? changes.sites.newValue || [] : lastKnownData.sites,
+        groups: changes.groups ? changes.groups.newValue || [] : lastKnownData.groups
+      });
+      if (changed) {
+        saveSyncState();
+        if (settings.syncEnabled) scheduleSync();
+      }
+    }
+
+    // Another device pushed new data
+    if (areaName === 'sync' && changes[SYNC_META_KEY] && settings.syncEnabled) {
+      const meta = changes[SYNC_META_KEY].newValue;
+      if (meta && meta.deviceId !== syncState.deviceId) scheduleSync();
+    }
+  });
+
+  runSync();
+}
@@ -0,0 +1,90 @@
+/**
+ * Theme handling shared by the sidebar and the options page
+ * Applies the theme and accent color from the settings (see settings.js)
+ */
+
+// Used by the 'auto' theme
+const lightSchemeQuery = window.matchMedia('(prefers-color-scheme: light)');
+
+// Settings the current theme was applied from
+let themeSettings = null;
+
+/**
+ * Get a color from the Firefox theme (first key that is set)
+ */
+function getThemeColor(colors, keys) {
+  for (const key of keys) {
+    if (colors[key]) return colors[key];
+  }
+  return null;
+}
+
+/**
+ * Use the Firefox theme's sidebar colors, or the system scheme if it has none
+ * The theme's highlight color is only used while the accent color is the default one
+ */
+async function applyFirefoxTheme(root, settings) {
+  let colors = null;
+  try {
+    const theme = await browser.theme.getCurrent();
+    colors = theme && theme.colors;
+  } catch (e) {
+    console.log('Could not read the Firefox theme');
+  }
+
+  const background = colors && getThemeColor(colors, ['sidebar', 'toolbar', 'frame']);
+  const text = colors && getThemeColor(colors, ['sidebar_text', 'toolbar_text', 'tab_background_text']);
+  if (!background || !text) {
+    // The default theme doesn't expose colors
+    root.dataset.theme = lightSchemeQuery.matches ? 'light' : 'dark';
+    return;
+  }
+
+  root.dataset.theme = 'firefox';
+  root.style.setProperty('--bg-primary', background);
+  root.style.setProperty('--text-primary', text);
+
+  const accentIsDefault = settings.accentColor.toLowerCase() === DEFAULT_SETTINGS.accentColor.toLowerCase();
+  const highlight = getThemeColor(colors, ['sidebar_highlight', 'tab_line']);
+  if (highlight && accentIsDefault) root.style.setProperty('--accent-color', highlight);
+}
+
+/**
+ * Apply the theme and accent color from the settings
+ */
+function applyTheme(settings) {
+  themeSettings = settings;
+  const root = document.documentElement;
+
+  root.style.removeProperty('--bg-primary');
+  root.style.removeProperty('--text-primary');
+  root.style.setProperty('--accent-color', settings.accentColor);
+
+  switch (settings.theme) {
+    case 'auto':
+      root.dataset.theme = lightSchemeQuery.matches ? 'light' : 'dark';
+      break;
+    case 'firefox':
+      applyFirefoxTheme(root, settings);
+      break;
+    default:
+      root.dataset.theme = settings.theme;
+  }
+}
+
+/**
+ * Apply the theme and keep it in sync with the system and Firefox themes
+ */
+function setupTheme(settings) {
+  applyTheme(settings);
+
+  lightSchemeQuery.addEventListener('change', () => {
+    if (themeSettings.theme === 'auto' || themeSettings.theme === 'firefox') {
+      applyTheme(themeSettings);
+    }
+  });
+
+  browser.theme.onUpdated.addListener(() => {
+    if (themeSettings.theme === 'firefox') applyTheme(themeSettings);
+  });
+}